@@ -7,6 +7,10 @@ import { dirname } from "path";
 import https from "https";
 import http from "http";
 import readline from "readline";
+import { parseArgs } from "util";
+import crypto from "crypto";
+import ws from "ws";
+import YAML from "yaml";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,11 +18,90 @@ const __dirname = dirname(__filename);
 const ENV_SUPABASE_URL = "NEXT_PUBLIC_SUPABASE_URL";
 const ENV_SERVICE_KEY = "SUPABASE_SERVICE_ROLE_KEY";
 const ENV_ANON_KEY = "NEXT_PUBLIC_SUPABASE_ANON_KEY";
+const ENV_USER_TOKEN = "SUPABASE_USER_ACCESS_TOKEN";
+const ENV_PRODUCTION_FLAG = "SUPABASE_DEBUG_PRODUCTION";
+const ENV_HINTS_FILE = "SUPABASE_DEBUG_HINTS";
+const DEFAULT_HINTS_FILE = "supabase-debug-hints.json";
+// Variables a profile (.env.<name>) sets; switching profiles replaces all of them.
+const PROFILE_ENV_KEYS = [
+  ENV_SUPABASE_URL,
+  ENV_SERVICE_KEY,
+  ENV_ANON_KEY,
+  ENV_USER_TOKEN,
+  ENV_PRODUCTION_FLAG,
+];
+const DEFAULT_PROFILE = "default";
 
 const TEMP_DIR_PATH = path.join(__dirname, "supabase-debug-temp");
 const TEST_TEXT_FILENAME = "debug-text.txt";
 const TEST_IMAGE_FILENAME = "debug-image.png";
 const DEFAULT_UPLOAD_PATH_PREFIX = "supabase-debug-tool";
+const DEFAULT_SIGNED_URL_EXPIRY = 60;
+// User tokens closer than this to expiry are flagged before they break a run.
+const TOKEN_EXPIRY_WARNING_SECONDS = 5 * 60;
+// Hosted Supabase only accepts 6 MB chunks (except the last one).
+const TUS_DEFAULT_CHUNK_SIZE_MB = 6;
+const DEFAULT_GENERATED_SIZE_MB = 20;
+// Browsers never preflight these methods, so they need no Allow-Methods entry.
+const CORS_SAFELISTED_METHODS = ["GET", "HEAD", "POST"];
+const CORS_TIP =
+  "A plain GET cannot observe CORS. Run the CORS preflight check with your frontend origin for a browser-accurate result.";
+
+const TRANSFORM_RESIZE_MODES = ["cover", "contain", "fill"];
+const TRANSFORM_FORMATS = ["origin", "webp", "avif"];
+const TRANSFORM_TIMEOUT_MS = 10000;
+
+// Oversized-upload probes above this are skipped to keep memory bounded.
+const MAX_OVERSIZE_PROBE_BYTES = 20 * 1024 * 1024;
+const LIST_PAGE_SIZE = 100;
+const LIST_SORT_COLUMNS = ["name", "size", "updated_at"];
+const SYNC_DIRECTIONS = ["upload", "download"];
+const DEFAULT_SYNC_CONCURRENCY = 4;
+const REMOVE_BATCH_SIZE = 100;
+const CLEANUP_LIST_LIMIT = 20;
+// Created by the dashboard to keep empty folders; never part of a sync.
+const EMPTY_FOLDER_PLACEHOLDER = ".emptyFolderPlaceholder";
+const BENCHMARK_DEFAULTS = {
+  iterations: 10,
+  concurrency: 4,
+  sizesKb: "1,100,1024",
+};
+
+const INSPECT_URL_TYPES = ["public", "signed"];
+const MAX_OBJECT_KEY_BYTES = 1024;
+const SCENARIO_ACTIONS = [
+  "upload",
+  "download",
+  "list",
+  "remove",
+  "copy",
+  "move",
+  "exists",
+  "info",
+  "signed-url",
+  "public-url",
+  "list-buckets",
+];
+const CDN_CACHE_HEADERS = [
+  "cf-cache-status",
+  "x-cache",
+  "x-cache-status",
+  "cache-status",
+  "x-vercel-cache",
+];
+const WATCH_PROBES = ["ping", "buckets", "roundtrip", "public"];
+const WATCH_PROBE_LABELS = {
+  ping: "URL ping",
+  buckets: "Bucket list",
+  roundtrip: "R/W round trip",
+  public: "Public URL",
+};
+const WATCH_DEFAULTS = {
+  intervalSeconds: 30,
+  logFile: "supabase-storage-health.log",
+};
+const WATCH_ROLLING_WINDOW = 20;
+const WATCH_PROBE_TIMEOUT_MS = 10000;
 
 const MIME_TYPES_MAP = {
   ".jpg": "image/jpeg",
@@ -26,13 +109,132 @@ const MIME_TYPES_MAP = {
   ".png": "image/png",
   ".gif": "image/gif",
   ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".avif": "image/avif",
+  ".heic": "image/heic",
+  ".bmp": "image/bmp",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".ico": "image/x-icon",
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".wav": "audio/wav",
+  ".ogg": "audio/ogg",
+  ".flac": "audio/flac",
   ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".xls": "application/vnd.ms-excel",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".pptx":
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".tar": "application/x-tar",
+  ".7z": "application/x-7z-compressed",
+  ".rar": "application/vnd.rar",
   ".txt": "text/plain",
+  ".csv": "text/csv",
+  ".md": "text/markdown",
   ".html": "text/html",
+  ".css": "text/css",
   ".json": "application/json",
+  ".xml": "application/xml",
   default: "application/octet-stream",
 };
 
+const SNIFF_BYTES = 4096;
+// Checked in order, so generic signatures come after specific ones. Values
+// starting with 0x are hex bytes; anything else is matched as ASCII.
+const MAGIC_SIGNATURES = [
+  { type: "image/png", parts: [[0, "0x89504e470d0a1a0a"]] },
+  { type: "image/jpeg", parts: [[0, "0xffd8ff"]] },
+  { type: "image/gif", parts: [[0, "GIF8"]] },
+  {
+    type: "image/webp",
+    parts: [
+      [0, "RIFF"],
+      [8, "WEBP"],
+    ],
+  },
+  { type: "image/tiff", parts: [[0, "0x49492a00"]] },
+  { type: "image/tiff", parts: [[0, "0x4d4d002a"]] },
+  { type: "image/x-icon", parts: [[0, "0x00000100"]] },
+  { type: "image/avif", parts: [[4, "ftypavif"]] },
+  { type: "image/heic", parts: [[4, "ftypheic"]] },
+  { type: "image/heic", parts: [[4, "ftypheix"]] },
+  { type: "video/quicktime", parts: [[4, "ftypqt"]] },
+  { type: "audio/mp4", parts: [[4, "ftypM4A"]] },
+  { type: "video/mp4", parts: [[4, "ftyp"]] },
+  { type: "video/webm", parts: [[0, "0x1a45dfa3"]] },
+  {
+    type: "video/x-msvideo",
+    parts: [
+      [0, "RIFF"],
+      [8, "AVI "],
+    ],
+  },
+  {
+    type: "audio/wav",
+    parts: [
+      [0, "RIFF"],
+      [8, "WAVE"],
+    ],
+  },
+  { type: "audio/mpeg", parts: [[0, "ID3"]] },
+  { type: "audio/mpeg", parts: [[0, "0xfffb"]] },
+  { type: "audio/mpeg", parts: [[0, "0xfff3"]] },
+  { type: "audio/ogg", parts: [[0, "OggS"]] },
+  { type: "audio/flac", parts: [[0, "fLaC"]] },
+  { type: "application/pdf", parts: [[0, "%PDF-"]] },
+  { type: "application/zip", parts: [[0, "0x504b0304"]] },
+  { type: "application/gzip", parts: [[0, "0x1f8b"]] },
+  { type: "application/x-7z-compressed", parts: [[0, "0x377abcaf271c"]] },
+  { type: "application/vnd.rar", parts: [[0, "Rar!"]] },
+  { type: "application/x-tar", parts: [[257, "ustar"]] },
+  { type: "application/x-cfb", parts: [[0, "0xd0cf11e0a1b11ae1"]] },
+];
+
+// Signatures that only identify a container shared by several formats.
+const SNIFFED_CONTAINER_TYPES = {
+  "application/zip": [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    "application/epub+zip",
+    "application/java-archive",
+    "application/x-zip-compressed",
+  ],
+  "application/x-cfb": [
+    "application/msword",
+    "application/vnd.ms-excel",
+    "application/vnd.ms-powerpoint",
+  ],
+  "video/mp4": ["audio/mp4", "video/quicktime", "image/heic", "image/avif"],
+  "video/webm": ["audio/webm"],
+  "video/x-matroska": ["video/webm"],
+  "audio/ogg": ["video/ogg", "application/ogg"],
+  "audio/wav": ["audio/x-wav", "audio/wave"],
+  "audio/mpeg": ["audio/mp3"],
+  "image/x-icon": ["image/vnd.microsoft.icon"],
+  "application/gzip": ["application/x-gzip"],
+};
+
+const PERMISSION_OPERATIONS = [
+  "list",
+  "upload",
+  "download",
+  "update",
+  "delete",
+];
+
 const COLORS = {
   reset: "\x1b[0m",
   bright: "\x1b[1m",
@@ -45,28 +247,119 @@ const COLORS = {
   cyan: "\x1b[36m",
 };
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+const CLI_OPTIONS = {
+  bucket: { type: "string", short: "b" },
+  path: { type: "string", short: "p" },
+  file: { type: "string", short: "f" },
+  "content-type": { type: "string", short: "t" },
+  prefix: { type: "string" },
+  type: { type: "string" },
+  report: { type: "string" },
+  token: { type: "string" },
+  email: { type: "string" },
+  expires: { type: "string" },
+  "wait-expiry": { type: "boolean" },
+  size: { type: "string" },
+  "chunk-size": { type: "string" },
+  "interrupt-at": { type: "string" },
+  iterations: { type: "string" },
+  concurrency: { type: "string" },
+  sizes: { type: "string" },
+  recursive: { type: "boolean", short: "r" },
+  sort: { type: "string" },
+  order: { type: "string" },
+  search: { type: "string" },
+  public: { type: "string" },
+  "size-limit": { type: "string" },
+  "mime-types": { type: "string" },
+  yes: { type: "boolean", short: "y" },
+  origins: { type: "string" },
+  width: { type: "string" },
+  height: { type: "string" },
+  resize: { type: "string" },
+  quality: { type: "string" },
+  format: { type: "string" },
+  profile: { type: "string" },
+  "confirm-production": { type: "boolean" },
+  dir: { type: "string" },
+  direction: { type: "string" },
+  delete: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  "older-than": { type: "string" },
+  to: { type: "string" },
+  "to-bucket": { type: "string" },
+  password: { type: "string" },
+  "url-type": { type: "string" },
+  var: { type: "string", multiple: true },
+  probes: { type: "string" },
+  interval: { type: "string" },
+  count: { type: "string" },
+  log: { type: "string" },
+  webhook: { type: "string" },
+  verbose: { type: "boolean", short: "v" },
+  har: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
 
 dotenv.config();
+const defaultProfileEnv = Object.fromEntries(
+  PROFILE_ENV_KEYS.map((key) => [key, process.env[key]])
+);
+let activeProfile = DEFAULT_PROFILE;
 let supabase;
+let rl;
+// Set when running a subcommand: prompts read from here instead of stdin.
+let cliFlags = null;
+let errorCount = 0;
+let report = null;
+// Signed-in user the global client acts as; null means the env key itself.
+let activeIdentity = null;
+// Production writes are confirmed once per action, not once per prompt.
+let productionConfirmed = false;
+// Recorded when enabled; printed inline only in verbose mode.
+const httpTrace = { enabled: false, verbose: false, entries: [] };
 
 const log = (color, prefix, message) =>
   console.log(`${color}${prefix} ${message}${COLORS.reset}`);
 const logSuccess = (message) => log(COLORS.green, "✅", message);
-const logError = (message) => log(COLORS.red, "❌ ERROR:", message);
+const logError = (message) => {
+  errorCount++;
+  log(COLORS.red, "❌ ERROR:", message);
+};
 const logWarn = (message) => log(COLORS.yellow, "⚠️ WARN:", message);
 const logInfo = (message) => log(COLORS.cyan, "ℹ️ INFO:", message);
 const logTip = (message) => log(COLORS.magenta, "💡 TIP:", message);
 
 function ask(question) {
+  if (!rl)
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
   return new Promise((resolve) =>
     rl.question(`${COLORS.bright}${question}${COLORS.reset} `, resolve)
   );
 }
 
+function closePrompt() {
+  rl?.close();
+  rl = null;
+}
+
+async function getInput(flag, question) {
+  if (cliFlags) return cliFlags[flag] || "";
+  return ask(question);
+}
+
+async function confirmInput(flag, question) {
+  if (cliFlags) return !!cliFlags[flag];
+  return (await ask(question)).trim().toLowerCase() === "y";
+}
+
+function clearScreen() {
+  if (!cliFlags) console.clear();
+}
+
 async function pressEnterToContinue() {
   console.log(`\n${COLORS.dim}Press Enter to return to menu...${COLORS.reset}`);
   await ask("");
@@ -81,55 +374,939 @@ function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + " " + sizes[i];
 }
 
-function getErrorHint(error) {
-  const msg = error.message?.toLowerCase() || "";
-  if (
-    msg.includes("unauthorized") ||
-    msg.includes("access denied") ||
-    msg.includes("jwt") ||
-    msg.includes("token")
-  ) {
-    return `Auth issue. Verify API key, RLS policies, or use Service Role Key. Key might be expired or invalid.`;
-  }
-  if (msg.includes("not found") || msg.includes("does not exist")) {
-    return `Resource (bucket, file) not found. Check names and paths.`;
+// Storage policies (on storage.objects unless noted) each operation needs.
+const OPERATION_POLICIES = {
+  list: "SELECT",
+  download: "SELECT",
+  sign: "SELECT",
+  transform: "SELECT",
+  upload: "INSERT (plus SELECT and UPDATE when upserting)",
+  "signed-upload": "INSERT",
+  "resumable-upload": "INSERT",
+  update: "SELECT and UPDATE",
+  remove: "SELECT and DELETE",
+  copy: "SELECT on the source and INSERT on the destination",
+  move: "SELECT and UPDATE (newer Storage versions also check INSERT on the destination and DELETE on the source)",
+  "list-buckets": "SELECT on storage.buckets",
+};
+const BUCKET_ADMIN_OPERATIONS = [
+  "create-bucket",
+  "update-bucket",
+  "empty-bucket",
+  "delete-bucket",
+];
+const KEY_TYPE_ROLES = {
+  anon: "anon",
+  user: "authenticated",
+  service_role: "service_role",
+};
+
+// Matched top to bottom; the first entry whose "when" conditions all hold
+// wins. Entries from the hints file are checked before these. Conditions:
+// status (HTTP codes), code (storage error codes), message (regex),
+// keyType (anon/user/service_role) and operation. Causes and next steps may
+// use {operation}, {policy}, {role}, {path} and {message}.
+const ERROR_CATALOG = [
+  {
+    category: "network",
+    title: "Supabase is unreachable",
+    when: {
+      message: "fetch failed|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|network|socket",
+    },
+    causes: [
+      "NEXT_PUBLIC_SUPABASE_URL is wrong or the project is paused",
+      "A firewall, proxy or DNS problem blocks the request",
+    ],
+    nextSteps: [
+      "Open NEXT_PUBLIC_SUPABASE_URL in a browser",
+      "Check the project status in the dashboard and on status.supabase.com",
+    ],
+  },
+  {
+    category: "timeout",
+    title: "Request timed out",
+    when: { code: ["DatabaseTimeout", "LockTimeout"], status: [408, 504, 544] },
+    causes: [
+      "The Storage database is overloaded or a row is locked",
+      "A slow network between here and the project region",
+    ],
+    nextSteps: [
+      "Retry; run the Benchmark to see whether latency is consistently high",
+      "Check status.supabase.com for incidents in your region",
+    ],
+  },
+  {
+    category: "timeout",
+    title: "Request timed out",
+    when: { message: "timed? ?out" },
+    causes: ["A slow network, or Supabase not responding in time"],
+    nextSteps: [
+      "Retry, and check connectivity with the Connection test",
+      "Check status.supabase.com for incidents in your region",
+    ],
+  },
+  {
+    category: "authentication",
+    title: "User session rejected",
+    when: {
+      keyType: ["user"],
+      status: [401],
+      code: ["InvalidJWT"],
+      message: "jwt|token",
+    },
+    causes: [
+      "The user's access token has expired",
+      "The token was issued by a different project",
+    ],
+    nextSteps: [
+      "Sign in again (menu: Sign In as User) or paste a fresh access token",
+    ],
+  },
+  {
+    category: "signed_url",
+    title: "Signed URL rejected",
+    when: {
+      operation: ["sign", "signed-upload"],
+      code: ["InvalidSignature", "SignatureDoesNotMatch"],
+      message: "signature|expired",
+    },
+    causes: [
+      "The signed URL has expired",
+      "The URL was changed after signing (for example re-encoded)",
+    ],
+    nextSteps: [
+      "Create a new signed URL with a longer expiry",
+      "Use the URL exactly as returned, without re-encoding it",
+    ],
+  },
+  {
+    category: "authentication",
+    title: "API key or JWT rejected",
+    when: {
+      status: [401],
+      code: ["InvalidJWT", "InvalidSignature", "SignatureDoesNotMatch"],
+      message: "jwt|jws|invalid (api )?key|signature",
+    },
+    causes: [
+      "The API key is invalid, expired, or from another project",
+      "The JWT secret was rotated after the key was issued",
+    ],
+    nextSteps: [
+      "Copy the keys again from Project Settings > API",
+      "Make sure the keys belong to the project in NEXT_PUBLIC_SUPABASE_URL",
+    ],
+  },
+  {
+    category: "authorization",
+    title: "Bucket management needs the service role",
+    when: {
+      operation: BUCKET_ADMIN_OPERATIONS,
+      keyType: ["anon", "user"],
+      status: [401, 403],
+      message: "row-level security|unauthorized|denied|permission",
+    },
+    causes: ["The {role} role cannot manage buckets"],
+    nextSteps: [
+      "Set SUPABASE_SERVICE_ROLE_KEY (never ship it to browsers) and retry",
+    ],
+  },
+  {
+    category: "authorization",
+    title: "Denied by Row Level Security",
+    when: {
+      keyType: ["anon", "user"],
+      status: [403],
+      code: ["AccessDenied", "Unauthorized"],
+      message:
+        "row-level security|violates|unauthorized|access denied|permission denied",
+    },
+    causes: [
+      "No policy lets the {role} role {operation} {path}",
+      "{operation} needs {policy}",
+    ],
+    nextSteps: [
+      "Add or fix the {policy} policy for {role} on storage.objects in the SQL editor or Dashboard > Storage > Policies",
+      "Run the Permission Matrix to compare identities",
+    ],
+  },
+  {
+    category: "authorization",
+    title: "Denied although a service role key is configured",
+    when: {
+      keyType: ["service_role"],
+      status: [401, 403],
+      message:
+        "row-level security|violates|unauthorized|access denied|permission denied",
+    },
+    causes: [
+      "SUPABASE_SERVICE_ROLE_KEY holds a non-service key (for example the anon key)",
+      "The key belongs to another project",
+    ],
+    nextSteps: [
+      "Decode the key and check that its role claim is service_role",
+      "Copy the service_role key again from Project Settings > API",
+    ],
+  },
+  {
+    category: "not_found",
+    title: "Bucket not found",
+    when: { code: ["NoSuchBucket"], message: "bucket not found" },
+    causes: [
+      "The bucket name is misspelled (names are case-sensitive)",
+      "The bucket exists in another project",
+    ],
+    nextSteps: ["List buckets and copy the exact name"],
+  },
+  {
+    category: "not_found",
+    title: "Object not found or not visible",
+    when: {
+      keyType: ["anon", "user"],
+      status: [404],
+      code: ["NoSuchKey"],
+      message: "not found|does not exist",
+    },
+    causes: [
+      "The path is wrong (paths are case-sensitive and have no leading slash)",
+      "A SELECT policy hides {path} from the {role} role",
+    ],
+    nextSteps: [
+      "List the folder with the service role key to see whether it exists",
+      "Check the SELECT policy for {role} on storage.objects",
+    ],
+  },
+  {
+    category: "not_found",
+    title: "Object not found",
+    when: {
+      status: [404],
+      code: ["NoSuchKey", "NoSuchUpload"],
+      message: "not found|does not exist",
+    },
+    causes: [
+      "The path is wrong (paths are case-sensitive and have no leading slash)",
+    ],
+    nextSteps: ["List the folder to find the exact path"],
+  },
+  {
+    category: "conflict",
+    title: "Bucket is not empty",
+    when: { message: "not empty" },
+    causes: ["Buckets must be empty before they can be deleted"],
+    nextSteps: ["Empty the bucket first (Bucket Administration > Empty)"],
+  },
+  {
+    category: "conflict",
+    title: "Already exists",
+    when: {
+      status: [409],
+      code: [
+        "KeyAlreadyExists",
+        "ResourceAlreadyExists",
+        "BucketAlreadyExists",
+      ],
+      message: "already exists|duplicate",
+    },
+    causes: ["{path} already exists and the request does not overwrite"],
+    nextSteps: [
+      "Pass upsert: true to overwrite, or choose another name",
+      "For upserts, also allow SELECT and UPDATE in your policies",
+    ],
+  },
+  {
+    category: "limit",
+    title: "File size limit exceeded",
+    when: {
+      status: [413],
+      code: ["EntityTooLarge"],
+      message: "too large|size limit",
+    },
+    causes: [
+      "The file is larger than the bucket's file_size_limit",
+      "The file is larger than the project's global upload limit (50 MB on the Free plan)",
+    ],
+    nextSteps: [
+      "Raise the bucket limit (Bucket Administration) or the global limit (Dashboard > Storage > Settings)",
+      "Use the Resumable Upload test for large files",
+    ],
+  },
+  {
+    category: "validation",
+    title: "Content type not allowed",
+    when: { status: [415], code: ["InvalidMimeType"], message: "mime type" },
+    causes: ["The bucket's allowed_mime_types does not include this type"],
+    nextSteps: [
+      "Check the bucket's Allowed MIME Types (List Buckets)",
+      "Send the correct content type, or widen the bucket's list",
+    ],
+  },
+  {
+    category: "validation",
+    title: "Invalid name",
+    when: {
+      code: ["InvalidKey", "InvalidBucketName"],
+      message: "invalid key|invalid bucket name",
+    },
+    causes: ["The object key or bucket name contains unsupported characters"],
+    nextSteps: ["Stick to letters, digits and - _ . / in object keys"],
+  },
+  {
+    category: "rate_limit",
+    title: "Rate limited",
+    when: {
+      status: [429],
+      code: ["SlowDown"],
+      message: "rate limit|too many requests",
+    },
+    causes: ["Too many requests in a short time"],
+    nextSteps: ["Lower the concurrency and retry with backoff"],
+  },
+  {
+    category: "unsupported",
+    title: "Feature not enabled",
+    when: { message: "not enabled|feature|upgrade" },
+    causes: ["This feature is disabled or not available on the current plan"],
+    nextSteps: ["Check the project's plan and Storage settings"],
+  },
+  {
+    category: "server",
+    title: "Supabase server error",
+    when: { status: [500, 502, 503, 520, 521, 522, 523] },
+    causes: ["An incident or misconfiguration on the Supabase side"],
+    nextSteps: [
+      "Retry in a few minutes and check status.supabase.com",
+      "If it persists, contact Supabase support with the request details",
+    ],
+  },
+];
+
+const FALLBACK_CLASSIFICATION = {
+  category: "unknown",
+  title: "Unrecognised error",
+  causes: ["{message}"],
+  nextSteps: [
+    'Search the Supabase docs for "{message}"',
+    `Add a matching entry to your hints file (${DEFAULT_HINTS_FILE} or ${ENV_HINTS_FILE})`,
+  ],
+};
+
+let customHints = null;
+
+function compileHintEntry(entry) {
+  if (!entry?.category || !entry.when)
+    throw new Error("needs 'category' and 'when'");
+  const when = { ...entry.when };
+  ["status", "code", "keyType", "operation"].forEach((field) => {
+    if (when[field] !== undefined && !Array.isArray(when[field]))
+      throw new Error(`'when.${field}' must be an array`);
+  });
+  if (when.code?.some((code) => typeof code !== "string"))
+    throw new Error("'when.code' must list strings");
+  ["causes", "nextSteps"].forEach((field) => {
+    if (entry[field] !== undefined && !Array.isArray(entry[field]))
+      throw new Error(`'${field}' must be an array`);
+  });
+  if (when.message !== undefined) when.message = new RegExp(when.message, "i");
+  return { ...entry, when };
+}
+
+function loadCustomHints() {
+  if (customHints) return customHints;
+  const hintsPath = process.env[ENV_HINTS_FILE] || DEFAULT_HINTS_FILE;
+  customHints = [];
+  if (!fs.existsSync(hintsPath)) {
+    if (process.env[ENV_HINTS_FILE])
+      logWarn(`Hints file not found: ${hintsPath}`);
+    return customHints;
   }
-  if (msg.includes("timeout")) {
-    return `Network timeout. Check connectivity, Supabase status, or firewall.`;
+  try {
+    const entries = JSON.parse(fs.readFileSync(hintsPath, "utf8"));
+    if (!Array.isArray(entries)) throw new Error("expected a JSON array");
+    entries.forEach((entry, index) => {
+      try {
+        customHints.push(compileHintEntry(entry));
+      } catch (e) {
+        logWarn(`Ignoring hint #${index + 1} in ${hintsPath}: ${e.message}`);
+      }
+    });
+  } catch (e) {
+    logWarn(`Ignoring hints file ${hintsPath}: ${e.message}`);
   }
-  if (msg.includes("limit")) {
-    return `Rate limit or resource limit exceeded. Check Supabase plan.`;
+  return customHints;
+}
+
+const currentKeyType = () =>
+  activeIdentity
+    ? "user"
+    : process.env[ENV_SERVICE_KEY]
+    ? "service_role"
+    : "anon";
+
+function errorDetails(error) {
+  let body = {};
+  // Raw HTTP failures pass the response body as the message.
+  try {
+    body = JSON.parse(error?.message);
+  } catch {}
+  const status =
+    Number(error?.status) ||
+    Number(error?.originalError?.status) ||
+    Number(body.statusCode) ||
+    0;
+  // storage-js keeps either the numeric status or the storage code here.
+  const code = [error?.code, error?.statusCode, body.code, body.error].find(
+    (value) => value && Number.isNaN(Number(value))
+  );
+  return {
+    status,
+    code: code || null,
+    message: body.message || error?.message || String(error),
+  };
+}
+
+function matchesCatalogEntry({ when }, details, context) {
+  const includes = (list, value) => !list || list.includes(value);
+  if (!includes(when.keyType, context.keyType)) return false;
+  if (!includes(when.operation, context.operation)) return false;
+  // The error itself must match at least one of status, code or message.
+  return (
+    (when.status && when.status.includes(details.status)) ||
+    (when.code &&
+      when.code.some(
+        (code) => code.toLowerCase() === details.code?.toLowerCase()
+      )) ||
+    (when.message &&
+      (when.message instanceof RegExp
+        ? when.message
+        : new RegExp(when.message, "i")
+      ).test(details.message))
+  );
+}
+
+function classifyError(error, context = {}) {
+  const details = errorDetails(error);
+  const fullContext = { keyType: currentKeyType(), ...context };
+  const entry =
+    [...loadCustomHints(), ...ERROR_CATALOG].find((candidate) =>
+      matchesCatalogEntry(candidate, details, fullContext)
+    ) || FALLBACK_CLASSIFICATION;
+  const values = {
+    operation: fullContext.operation || "access",
+    policy: OPERATION_POLICIES[fullContext.operation] || "the matching",
+    role: KEY_TYPE_ROLES[fullContext.keyType],
+    path: fullContext.path ? `'${fullContext.path}'` : "this object",
+    message: details.message,
+  };
+  const fill = (text) =>
+    text.replace(
+      /\{(\w+)\}/g,
+      (placeholder, key) => values[key] ?? placeholder
+    );
+  return {
+    category: entry.category,
+    title: entry.title || entry.category,
+    status: details.status || null,
+    code: details.code,
+    causes: (entry.causes || []).map(fill),
+    nextSteps: (entry.nextSteps || []).map(fill),
+  };
+}
+
+function getErrorHint(error, context) {
+  const { category, title, status, code, causes, nextSteps } = classifyError(
+    error,
+    context
+  );
+  const tags = [category, status && `HTTP ${status}`, code]
+    .filter(Boolean)
+    .join(", ");
+  return [
+    `${title} [${tags}]`,
+    causes.length && `   Likely causes: ${causes.join("; ")}.`,
+    nextSteps.length && `   Next steps: ${nextSteps.join("; ")}.`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+const REDACTED = "REDACTED";
+const REDACTED_HEADERS = ["apikey", "authorization", "cookie", "set-cookie"];
+// Signed URLs carry their grant in `token`; some clients put the key in `apikey`.
+const REDACTED_QUERY_PARAMS = ["apikey", "token"];
+
+function redactHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name: name.toLowerCase(),
+    value: REDACTED_HEADERS.includes(name.toLowerCase())
+      ? String(value).replace(/^(Bearer\s+)?.*$/is, `$1${REDACTED}`)
+      : String(value),
+  }));
+}
+
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    REDACTED_QUERY_PARAMS.forEach((param) => {
+      if (parsed.searchParams.has(param))
+        parsed.searchParams.set(param, REDACTED);
+    });
+    return parsed.toString();
+  } catch {
+    return url;
   }
-  if (msg.includes("already exists")) {
-    return `File already exists. Use 'upsert: true' or choose a different path if not intended.`;
+}
+
+function requestBodySize(body) {
+  if (body == null) return 0;
+  if (typeof body === "string") return Buffer.byteLength(body);
+  if (body.byteLength !== undefined) return body.byteLength;
+  if (body.size !== undefined) return body.size;
+  return -1; // FormData and streams: unknown until sent.
+}
+
+function printTraceEntry({ request, response, time, _error }) {
+  const outcome = _error
+    ? `failed: ${_error}`
+    : `${response.status} ${response.statusText}`;
+  const size = response.bodySize >= 0 ? formatBytes(response.bodySize) : "?";
+  console.log(
+    `${COLORS.dim}  ↳ ${request.method} ${request.url} → ${outcome}${COLORS.dim} (${time} ms, ${size})${COLORS.reset}`
+  );
+  request.headers.forEach(({ name, value }) =>
+    console.log(`${COLORS.dim}      > ${name}: ${value}${COLORS.reset}`)
+  );
+  response.headers.forEach(({ name, value }) =>
+    console.log(`${COLORS.dim}      < ${name}: ${value}${COLORS.reset}`)
+  );
+}
+
+// Entries are stored in HAR 1.2 shape with secrets already redacted.
+function traceRequest({
+  method,
+  url,
+  requestHeaders,
+  requestSize,
+  startTime,
+  waitMs,
+  statusCode,
+  statusText,
+  headers,
+  bodySize,
+  error,
+}) {
+  if (!httpTrace.enabled) return;
+  const time = Date.now() - startTime;
+  const parsedUrl = new URL(redactUrl(url));
+  const responseHeaders = redactHeaders(headers || {});
+  const entry = {
+    startedDateTime: new Date(startTime).toISOString(),
+    time,
+    request: {
+      method,
+      url: parsedUrl.toString(),
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: redactHeaders(requestHeaders || {}),
+      queryString: [...parsedUrl.searchParams].map(([name, value]) => ({
+        name,
+        value,
+      })),
+      headersSize: -1,
+      bodySize: requestSize ?? 0,
+    },
+    response: {
+      status: statusCode,
+      statusText: statusText || "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: responseHeaders,
+      content: {
+        size: bodySize ?? -1,
+        mimeType:
+          responseHeaders.find((h) => h.name === "content-type")?.value || "",
+      },
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: bodySize ?? -1,
+    },
+    cache: {},
+    timings: {
+      send: 0,
+      wait: waitMs ?? time,
+      receive: time - (waitMs ?? time),
+    },
+    ...(error && { _error: error }),
+  };
+  httpTrace.entries.push(entry);
+  if (httpTrace.verbose) printTraceEntry(entry);
+}
+
+// Passed to every Supabase client so storage and auth calls are traced too.
+async function tracedFetch(input, init = {}) {
+  if (!httpTrace.enabled) return fetch(input, init);
+  const startTime = Date.now();
+  const trace = {
+    method: (init.method || input.method || "GET").toUpperCase(),
+    url: String(input.url ?? input),
+    requestHeaders: Object.fromEntries(
+      new Headers(init.headers ?? input.headers)
+    ),
+    requestSize: requestBodySize(init.body),
+    startTime,
+  };
+  let res;
+  try {
+    res = await fetch(input, init);
+  } catch (e) {
+    traceRequest({
+      ...trace,
+      statusCode: 0,
+      error: e.cause?.message || e.message,
+    });
+    throw e;
   }
-  return `Consult Supabase docs for: "${
-    error.message || "Unknown Supabase error"
-  }"`;
+  const waitMs = Date.now() - startTime;
+  const body = await res
+    .clone()
+    .arrayBuffer()
+    .catch(() => null);
+  traceRequest({
+    ...trace,
+    waitMs,
+    statusCode: res.status,
+    statusText: res.statusText,
+    headers: Object.fromEntries(res.headers),
+    bodySize: body ? body.byteLength : -1,
+  });
+  return res;
 }
 
-async function checkUrl(url) {
+function sendHttpRequest(
+  url,
+  method = "GET",
+  headers = {},
+  { headersOnly = false } = {}
+) {
+  const startTime = Date.now();
   return new Promise((resolve) => {
-    const protocol = url.startsWith("https:") ? https : http;
-    const req = protocol.get(url, { timeout: 5000 }, (res) => {
-      resolve({
-        accessible: res.statusCode >= 200 && res.statusCode < 400,
-        statusCode: res.statusCode,
+    let waitMs;
+    let settled = false;
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      traceRequest({
+        method,
+        url,
+        requestHeaders: headers,
+        startTime,
+        waitMs,
+        ...result,
       });
-      res.resume();
-    });
-    req.on("error", () =>
-      resolve({ accessible: false, statusCode: 0, error: "Network error" })
+      resolve(result);
+    };
+    const protocol = url.startsWith("https:") ? https : http;
+    const req = protocol.request(
+      url,
+      { method, headers, timeout: 5000 },
+      (res) => {
+        waitMs = Date.now() - startTime;
+        if (headersOnly) {
+          // Status checks settle on the headers instead of downloading the object.
+          res.destroy();
+          return settle({
+            statusCode: res.statusCode,
+            statusText: res.statusMessage,
+            headers: res.headers,
+          });
+        }
+        let bodySize = 0;
+        res.on("data", (chunk) => (bodySize += chunk.length));
+        // A reset mid-body emits neither "end" nor a request error.
+        res.on("error", (e) =>
+          settle({ statusCode: 0, headers: {}, error: e.message })
+        );
+        res.on("close", () => {
+          if (!res.complete)
+            settle({
+              statusCode: 0,
+              headers: {},
+              error: "Connection closed before the response ended",
+            });
+        });
+        res.on("end", () =>
+          settle({
+            statusCode: res.statusCode,
+            statusText: res.statusMessage,
+            headers: res.headers,
+            bodySize,
+          })
+        );
+      }
+    );
+    req.on("error", (e) =>
+      settle({ statusCode: 0, headers: {}, error: e.message })
     );
     req.on("timeout", () => {
       req.destroy();
-      resolve({ accessible: false, statusCode: 0, error: "Timeout" });
+      settle({ statusCode: 0, headers: {}, error: "Timeout" });
     });
+    req.end();
+  });
+}
+
+async function checkUrl(url) {
+  const { statusCode, error } = await sendHttpRequest(
+    url,
+    "GET",
+    {},
+    { headersOnly: true }
+  );
+  if (error)
+    return {
+      accessible: false,
+      statusCode: 0,
+      error: error === "Timeout" ? error : "Network error",
+    };
+  return { accessible: statusCode >= 200 && statusCode < 400, statusCode };
+}
+
+function traceToHar() {
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "supabase-storage-debug", version: "1.0" },
+      comment: `Profile: ${activeProfile}. apikey, Authorization and token values are redacted.`,
+      entries: httpTrace.entries,
+    },
+  };
+}
+
+function writeHar(harPath) {
+  try {
+    fs.writeFileSync(harPath, JSON.stringify(traceToHar(), null, 2) + "\n");
+    logSuccess(
+      `HAR with ${httpTrace.entries.length} requests written to ${harPath} (secrets redacted).`
+    );
+    return true;
+  } catch (e) {
+    logError(`Failed to write HAR file: ${e.message}`);
+    return false;
+  }
+}
+
+function toggleHttpTrace() {
+  httpTrace.enabled = httpTrace.verbose = !httpTrace.enabled;
+  if (httpTrace.enabled) {
+    logSuccess("Verbose HTTP tracing enabled. Requests print inline.");
+    logTip(`Use 'Export HTTP Trace (HAR)' to attach them to a support ticket.`);
+  } else {
+    logInfo(
+      `Verbose HTTP tracing disabled. ${httpTrace.entries.length} recorded requests kept for export.`
+    );
+  }
+}
+
+async function exportHttpTrace() {
+  if (!httpTrace.entries.length) {
+    logWarn("No requests recorded yet. Enable verbose HTTP tracing first.");
+    return;
+  }
+  const harPath = await getInput(
+    "har",
+    `Save ${httpTrace.entries.length} recorded requests as HAR (e.g. trace.har, blank to skip):`
+  );
+  if (harPath) writeHar(harPath);
+}
+
+function beginReport(suite) {
+  report = { suite, startedAt: new Date().toISOString(), checks: [] };
+}
+
+async function runCheck(name, fn, indent = "") {
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await fn();
+  } catch (e) {
+    result = { status: "failed", message: `Exception: ${e.message}`, error: e };
+  }
+  const check = {
+    name,
+    status: result.status,
+    durationMs: Date.now() - startTime,
+    message: result.message,
+    hint: result.hint || (result.error ? getErrorHint(result.error) : null),
+    category: result.error ? classifyError(result.error).category : null,
+  };
+  report?.checks.push(check);
+
+  const logByStatus = {
+    passed: logSuccess,
+    warning: logWarn,
+    failed: logError,
+    skipped: logInfo,
+  };
+  logByStatus[check.status](`${indent}${check.message}`);
+  if (check.hint && check.status !== "passed") logTip(`${indent}${check.hint}`);
+  return result;
+}
+
+function summarizeReport() {
+  const summary = { total: 0, passed: 0, warning: 0, failed: 0, skipped: 0 };
+  report.checks.forEach((c) => {
+    summary.total++;
+    summary[c.status]++;
+  });
+  return summary;
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function reportToJUnit() {
+  const summary = summarizeReport();
+  const seconds = (ms) => (ms / 1000).toFixed(3);
+  const totalMs = report.checks.reduce((sum, c) => sum + c.durationMs, 0);
+  const cases = report.checks.map((c) => {
+    const attrs = `classname="supabase-storage.${escapeXml(
+      report.suite
+    )}" name="${escapeXml(c.name)}" time="${seconds(c.durationMs)}"`;
+    let body = "";
+    if (c.status === "failed")
+      body += `      <failure message="${escapeXml(c.message)}"${
+        c.category ? ` type="${escapeXml(c.category)}"` : ""
+      }>${escapeXml(c.hint || c.message)}</failure>\n`;
+    if (c.status === "skipped") body += `      <skipped/>\n`;
+    const out = c.status === "warning" ? `WARNING: ${c.message}` : c.message;
+    body += `      <system-out>${escapeXml(out)}</system-out>\n`;
+    return `    <testcase ${attrs}>\n${body}    </testcase>`;
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="supabase-storage-debug" tests="${
+      summary.total
+    }" failures="${summary.failed}" time="${seconds(totalMs)}">`,
+    `  <testsuite name="${escapeXml(report.suite)}" tests="${
+      summary.total
+    }" failures="${summary.failed}" skipped="${
+      summary.skipped
+    }" time="${seconds(totalMs)}" timestamp="${report.startedAt}">`,
+    ...cases,
+    `  </testsuite>`,
+    `</testsuites>`,
+    "",
+  ].join("\n");
+}
+
+async function saveReport() {
+  if (!report) return;
+  const reportPath = await getInput(
+    "report",
+    "Save report to file (.json or .xml for JUnit, blank to skip):"
+  );
+  if (!reportPath) return;
+
+  const output = reportPath.toLowerCase().endsWith(".xml")
+    ? reportToJUnit()
+    : JSON.stringify(
+        {
+          ...report,
+          finishedAt: new Date().toISOString(),
+          supabaseUrl: process.env[ENV_SUPABASE_URL] || null,
+          keyType: process.env[ENV_SERVICE_KEY]
+            ? "service_role"
+            : process.env[ENV_ANON_KEY]
+            ? "anon"
+            : null,
+          summary: summarizeReport(),
+        },
+        null,
+        2
+      ) + "\n";
+  try {
+    fs.writeFileSync(reportPath, output);
+    logSuccess(`Report written to ${reportPath}`);
+  } catch (e) {
+    logError(`Failed to write report: ${e.message}`);
+  }
+}
+
+function listProfiles() {
+  const names = fs
+    .readdirSync(process.cwd())
+    .map((file) => file.match(/^\.env\.(.+)$/)?.[1])
+    .filter((name) => name && name !== "example");
+  return [DEFAULT_PROFILE, ...names.sort()];
+}
+
+function loadProfile(name) {
+  const values =
+    name === DEFAULT_PROFILE
+      ? defaultProfileEnv
+      : dotenv.parse(fs.readFileSync(path.join(process.cwd(), `.env.${name}`)));
+  PROFILE_ENV_KEYS.forEach((key) => {
+    if (values[key] === undefined) delete process.env[key];
+    else process.env[key] = values[key];
   });
+  activeProfile = name;
+}
+
+function isProductionProfile() {
+  return (
+    parseYesNo(process.env[ENV_PRODUCTION_FLAG] || "", false) ||
+    /^prod(uction)?$/i.test(activeProfile)
+  );
+}
+
+function describeProfile() {
+  return isProductionProfile()
+    ? `${COLORS.red}${activeProfile} [PRODUCTION]${COLORS.reset}`
+    : activeProfile;
+}
+
+async function switchProfile() {
+  clearScreen();
+  log(COLORS.blue, "===", `SWITCH PROFILE ===\n`);
+  const profiles = listProfiles();
+  if (profiles.length === 1)
+    logTip(
+      "Only the default profile exists. Add .env.<name> files (e.g. .env.staging) to define more."
+    );
+  profiles.forEach((name, i) =>
+    console.log(
+      `${COLORS.yellow}${i + 1}.${COLORS.reset} ${name}${
+        name === activeProfile ? " (active)" : ""
+      }`
+    )
+  );
+  const choice = profiles[parseInt(await ask("\nYour choice:"), 10) - 1];
+  if (!choice) {
+    logWarn("Invalid selection.");
+    return;
+  }
+
+  const previous = activeProfile;
+  if (activeIdentity) logInfo("Signing out of the current user session.");
+  activeIdentity = null;
+  loadProfile(choice);
+  if (await validateEnvAndInitClient()) {
+    logSuccess(`Switched to profile '${describeProfile()}'.`);
+    return;
+  }
+  logError(`Profile '${choice}' is not usable. Reverting to '${previous}'.`);
+  loadProfile(previous);
+  await validateEnvAndInitClient();
 }
 
 async function validateEnvAndInitClient() {
   logInfo("Validating environment & initializing Supabase client...");
+  logInfo(`Profile: ${describeProfile()}`);
   const supabaseUrl = process.env[ENV_SUPABASE_URL];
   const serviceKey = process.env[ENV_SERVICE_KEY];
   const anonKey = process.env[ENV_ANON_KEY];
@@ -170,9 +1347,19 @@ async function validateEnvAndInitClient() {
   }
 
   try {
-    supabase = createClient(supabaseUrl, supabaseKey);
+    supabase = createIdentityClient(supabaseKey);
     logSuccess("Supabase client initialized.");
 
+    // Unrecognised key formats (local stacks, mocks) are left to the inspector.
+    const keyWarnings = checkKeyConsistency()
+      .filter(({ decoded }) => decoded?.format !== "unrecognised")
+      .flatMap(({ source, problems }) =>
+        problems.map(({ message }) => `${source} ${message}.`)
+      );
+    keyWarnings.forEach(logWarn);
+    if (keyWarnings.length)
+      logTip("Run the API Key & Token Inspector ('keys') for decoded claims.");
+
     logInfo("Pinging Supabase URL...");
     const urlCheck = await checkUrl(supabaseUrl);
     if (urlCheck.accessible)
@@ -190,50 +1377,583 @@ async function validateEnvAndInitClient() {
   return true;
 }
 
-async function coreUploadProcessor(
-  bucketName,
-  targetPath,
-  fileSource,
-  contentType,
-  fileSize
-) {
-  logInfo(
-    `Attempting upload: ${bucketName}/${targetPath} (${formatBytes(
-      fileSize
-    )}) Type: ${contentType}`
-  );
-  const startTime = Date.now();
+function createIdentityClient(key, accessToken) {
+  return createClient(process.env[ENV_SUPABASE_URL], key, {
+    auth: { persistSession: false, autoRefreshToken: false },
+    // Realtime is unused, but the client needs a WebSocket before Node 22.
+    realtime: { transport: ws },
+    global: {
+      fetch: tracedFetch,
+      ...(accessToken && {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      }),
+    },
+  });
+}
+
+function decodeJwtPayload(token) {
   try {
-    const { data, error } = await supabase.storage
-      .from(bucketName)
-      .upload(
-        fileSource.path
-          ? fs.createReadStream(fileSource.path)
-          : fileSource.buffer,
-        targetPath,
-        {
-          contentType,
-          cacheControl: "3600",
-          upsert: true,
-        }
-      );
+    return JSON.parse(
+      Buffer.from(token.split(".")[1], "base64url").toString("utf8")
+    );
+  } catch {
+    return null;
+  }
+}
 
-    if (error) {
-      logError(`Upload FAILED: ${error.message}`);
-      logTip(getErrorHint(error));
-      return null;
-    }
+function describeIdentity() {
+  if (!activeIdentity)
+    return process.env[ENV_SERVICE_KEY] ? "Service Role key" : "Anon key";
+  const { user, expiresAt } = activeIdentity;
+  const expiry = expiresAt
+    ? `${new Date(expiresAt * 1000).toLocaleString()}${
+        expiresAt * 1000 < Date.now() ? " (EXPIRED)" : ""
+      }`
+    : "unknown";
+  return `User ${user.email || user.id} (id: ${user.id}, role: ${
+    user.role
+  }, expires: ${expiry})`;
+}
 
-    const duration = Date.now() - startTime;
-    logSuccess(`Upload SUCCEEDED in ${duration}ms. Path: ${data.path}`);
+function projectRefFromUrl(url) {
+  try {
+    return (
+      new URL(url).hostname.match(/^([a-z0-9]+)\.supabase\.(co|in)$/)?.[1] ||
+      null
+    );
+  } catch {
+    return null;
+  }
+}
 
-    const { data: urlData } = supabase.storage
-      .from(bucketName)
-      .getPublicUrl(targetPath);
-    if (urlData?.publicUrl) {
-      logInfo(`Public URL: ${urlData.publicUrl}`);
-      logInfo("Checking public URL accessibility...");
-      const publicUrlCheck = await checkUrl(urlData.publicUrl);
+// Decoded without verifying the signature: this spots mix-ups, not forgeries.
+function decodeKey(token) {
+  if (token.startsWith("sb_publishable_"))
+    return { format: "publishable key", role: "anon" };
+  if (token.startsWith("sb_secret_"))
+    return { format: "secret key", role: "service_role" };
+  const claims = decodeJwtPayload(token);
+  if (!claims || typeof claims !== "object") return { format: "unrecognised" };
+  return {
+    format: "JWT",
+    role: claims.role,
+    // API keys carry a ref claim; user tokens name the project in their issuer.
+    ref: claims.ref || projectRefFromUrl(claims.iss),
+    subject: claims.email || claims.sub,
+    issuedAt: claims.iat,
+    expiresAt: claims.exp,
+  };
+}
+
+function keyProblems(key, urlRef, swapped) {
+  const { decoded } = key;
+  const problems = [];
+  const add = (status, message, hint) =>
+    problems.push({ status, message, hint });
+  const recopy = `Copy the keys again from Project Settings > API of the project in ${ENV_SUPABASE_URL}`;
+
+  if (decoded.format === "unrecognised") {
+    add(
+      key.isUserToken ? "failed" : "warning",
+      key.isUserToken
+        ? "is not a JWT, so it cannot be a user access token"
+        : "is neither a JWT nor an sb_ key; role and project cannot be checked"
+    );
+    return problems;
+  }
+  if (key.isUserToken && ["anon", "service_role"].includes(decoded.role))
+    add(
+      "failed",
+      `is the ${decoded.role} API key, not a user access token`,
+      "Use the access_token of a signed-in user session"
+    );
+  else if (!key.isUserToken && decoded.role !== key.expectedRole)
+    add(
+      "failed",
+      `${
+        decoded.role === "service_role"
+          ? "holds the service_role key, which bypasses RLS and must never reach a browser"
+          : decoded.role === "anon"
+          ? "holds the anon key, so RLS applies and bucket administration fails"
+          : `has role '${decoded.role}', expected '${key.expectedRole}'`
+      }${
+        swapped ? ` (${ENV_ANON_KEY} and ${ENV_SERVICE_KEY} look swapped)` : ""
+      }`,
+      swapped
+        ? `Swap the values of ${ENV_ANON_KEY} and ${ENV_SERVICE_KEY}`
+        : recopy
+    );
+  if (urlRef && decoded.ref && decoded.ref !== urlRef)
+    add(
+      "failed",
+      `belongs to project '${decoded.ref}', but ${ENV_SUPABASE_URL} points at '${urlRef}'`,
+      recopy
+    );
+  if (decoded.expiresAt) {
+    const remainingMs = decoded.expiresAt * 1000 - Date.now();
+    const renew = key.isUserToken
+      ? "Sign in again or pass a fresh --token"
+      : recopy;
+    if (remainingMs <= 0)
+      add("failed", `expired ${formatAge(-remainingMs)} ago`, renew);
+    else if (remainingMs < TOKEN_EXPIRY_WARNING_SECONDS * 1000)
+      add(
+        "warning",
+        `expires in ${Math.ceil(remainingMs / 60000)} minute(s)`,
+        renew
+      );
+  }
+  return problems;
+}
+
+function checkKeyConsistency() {
+  const urlRef = projectRefFromUrl(process.env[ENV_SUPABASE_URL]);
+  const keys = [
+    {
+      source: ENV_ANON_KEY,
+      expectedRole: "anon",
+      token: process.env[ENV_ANON_KEY],
+    },
+    {
+      source: ENV_SERVICE_KEY,
+      expectedRole: "service_role",
+      token: process.env[ENV_SERVICE_KEY],
+    },
+    {
+      source: activeIdentity ? "Signed-in user token" : ENV_USER_TOKEN,
+      token: activeIdentity?.accessToken || process.env[ENV_USER_TOKEN],
+      isUserToken: true,
+    },
+  ].map((key) => ({ ...key, decoded: key.token && decodeKey(key.token) }));
+  const [anon, service] = keys;
+  const swapped =
+    anon.decoded?.role === "service_role" && service.decoded?.role === "anon";
+  return keys.map((key) => ({
+    ...key,
+    problems: key.decoded ? keyProblems(key, urlRef, swapped) : [],
+  }));
+}
+
+// Users sign in through the anon key, as a frontend would.
+const userApiKey = () =>
+  process.env[ENV_ANON_KEY] || process.env[ENV_SERVICE_KEY];
+
+function applyUserSession(client, { data, error }) {
+  if (error) {
+    logError(`Sign-in FAILED: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "auth" }));
+    return false;
+  }
+  supabase = client;
+  activeIdentity = {
+    user: data.user,
+    accessToken: data.session.access_token,
+    expiresAt: data.session.expires_at,
+  };
+  logSuccess(`Now acting as ${describeIdentity()}`);
+  return true;
+}
+
+async function signInWithPassword(email, password) {
+  const client = createIdentityClient(userApiKey());
+  return applyUserSession(
+    client,
+    await client.auth.signInWithPassword({ email, password })
+  );
+}
+
+async function signInWithAccessToken(accessToken) {
+  const client = createIdentityClient(userApiKey(), accessToken);
+  const { data, error } = await client.auth.getUser(accessToken);
+  if (error) {
+    logError(`Access token rejected: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "auth" }));
+    return false;
+  }
+  supabase = client;
+  activeIdentity = {
+    user: data.user,
+    accessToken,
+    expiresAt: decodeJwtPayload(accessToken)?.exp,
+  };
+  logSuccess(`Now acting as ${describeIdentity()}`);
+  return true;
+}
+
+async function signInAsUser() {
+  clearScreen();
+  log(COLORS.blue, "===", `SIGN IN AS USER ===\n`);
+  if (!process.env[ENV_ANON_KEY])
+    logWarn(
+      `${ENV_ANON_KEY} not set. Signing in through the Service Role key instead.`
+    );
+  console.log(`${COLORS.yellow}1.${COLORS.reset} Email & password`);
+  console.log(`${COLORS.yellow}2.${COLORS.reset} Magic link / email OTP`);
+  console.log(`${COLORS.yellow}3.${COLORS.reset} Paste existing access token`);
+  const method = await ask("\nYour choice:");
+
+  if (method === "1") {
+    const email = await ask("Email:");
+    const password = await ask("Password:");
+    if (!email || !password) {
+      logError("Email and password required.");
+      return;
+    }
+    await signInWithPassword(email, password);
+  } else if (method === "2") {
+    const email = await ask("Email:");
+    if (!email) {
+      logError("Email required.");
+      return;
+    }
+    const client = createIdentityClient(userApiKey());
+    const { error } = await client.auth.signInWithOtp({
+      email,
+      options: { shouldCreateUser: false },
+    });
+    if (error) {
+      logError(`Sending magic link FAILED: ${error.message}`);
+      logTip(getErrorHint(error, { operation: "auth" }));
+      return;
+    }
+    logSuccess(`Magic link / OTP sent to ${email}.`);
+    const token = await ask("Enter the one-time code from the email:");
+    if (!token) {
+      logError("Code required.");
+      return;
+    }
+    applyUserSession(
+      client,
+      await client.auth.verifyOtp({ email, token, type: "email" })
+    );
+  } else if (method === "3") {
+    const accessToken = await ask("Access token (JWT):");
+    if (!accessToken) {
+      logError("Access token required.");
+      return;
+    }
+    await signInWithAccessToken(accessToken);
+  } else {
+    logWarn("Invalid selection.");
+  }
+}
+
+async function signOutUser() {
+  clearScreen();
+  log(COLORS.blue, "===", `SIGN OUT / SWITCH IDENTITY ===\n`);
+  if (activeIdentity) {
+    const { error } = await supabase.auth
+      .signOut({ scope: "local" })
+      .catch((e) => ({ error: e }));
+    if (error) logWarn(`Sign-out warning: ${error.message}`);
+    activeIdentity = null;
+    supabase = createIdentityClient(
+      process.env[ENV_SERVICE_KEY] || process.env[ENV_ANON_KEY]
+    );
+    logSuccess(`Signed out. Now acting as ${describeIdentity()}.`);
+  } else {
+    logInfo(`No user signed in. Acting as ${describeIdentity()}.`);
+  }
+  const again = await ask("Sign in as another user? (y/N):");
+  if (again.toLowerCase() === "y") await signInAsUser();
+}
+
+function formatClaimTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toLocaleString() : "n/a";
+}
+
+async function inspectKeys() {
+  clearScreen();
+  log(COLORS.blue, "===", `API KEY & TOKEN INSPECTOR ===\n`);
+  const supabaseUrl = process.env[ENV_SUPABASE_URL];
+  const urlRef = projectRefFromUrl(supabaseUrl);
+  logInfo(
+    `${ENV_SUPABASE_URL}: ${supabaseUrl} (project ref: ${
+      urlRef || "unknown, ref checks skipped"
+    })`
+  );
+  beginReport("API Keys");
+
+  for (const key of checkKeyConsistency()) {
+    log(COLORS.bright, "\n", key.source);
+    const { decoded } = key;
+    if (decoded)
+      console.log(
+        `   Format: ${decoded.format} | Role: ${
+          decoded.role || "n/a"
+        } | Project: ${decoded.ref || "n/a"}${
+          decoded.subject ? ` | Subject: ${decoded.subject}` : ""
+        }\n   Issued: ${formatClaimTime(
+          decoded.issuedAt
+        )} | Expires: ${formatClaimTime(decoded.expiresAt)}`
+      );
+    await runCheck(
+      key.source,
+      async () => {
+        if (!decoded) return { status: "skipped", message: "Not set." };
+        if (!key.problems.length)
+          return {
+            status: "passed",
+            message: `${decoded.role} ${decoded.format} matches its variable${
+              urlRef && decoded.ref ? " and project" : ""
+            }.`,
+          };
+        const failed = key.problems.filter((p) => p.status === "failed");
+        return {
+          status: failed.length ? "failed" : "warning",
+          message: `${key.source} ${key.problems
+            .map((p) => p.message)
+            .join("; ")}.`,
+          hint: (failed[0] || key.problems[0]).hint,
+        };
+      },
+      "   "
+    );
+  }
+
+  await saveReport();
+}
+
+const sha256 = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+function hashFile(filePath, algorithm = "sha256") {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Storage may append parameters such as "; charset=utf-8".
+const baseContentType = (type) =>
+  (type || "").split(";")[0].trim().toLowerCase();
+
+const signatureBytes = (value) =>
+  value.startsWith("0x")
+    ? Buffer.from(value.slice(2), "hex")
+    : Buffer.from(value, "latin1");
+
+// Identifies a file from its first bytes, so renamed or extension-less files
+// still get a sensible type. Returns null when nothing matches.
+function sniffMimeType(buffer) {
+  const signature = MAGIC_SIGNATURES.find(({ parts }) =>
+    parts.every(([offset, value]) => {
+      const bytes = signatureBytes(value);
+      return buffer.subarray(offset, offset + bytes.length).equals(bytes);
+    })
+  );
+  if (signature?.type === "video/webm" && !buffer.includes("webm"))
+    return "video/x-matroska";
+  if (signature) return signature.type;
+
+  // A multi-byte character cut off at the end of the sample is not binary.
+  const text = buffer.toString("utf8").replace(/�{1,3}$/, "");
+  if (!buffer.length || buffer.includes(0) || text.includes("�")) return null;
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(text))
+    return "image/svg+xml";
+  return "text/plain";
+}
+
+function mimeTypesAgree(first, second) {
+  const [a, b] = [baseContentType(first), baseContentType(second)];
+  if (a === b) return true;
+  const related = (sniffed, declared) =>
+    (SNIFFED_CONTAINER_TYPES[sniffed] || []).includes(declared) ||
+    (sniffed === "text/plain" && isTextMimeType(declared));
+  return related(a, b) || related(b, a);
+}
+
+const isTextMimeType = (type) =>
+  type.startsWith("text/") ||
+  /^application\/(json|xml|javascript|x-ndjson)$/.test(type) ||
+  type.endsWith("+xml") ||
+  type.endsWith("+json");
+
+async function detectContentType(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  let header;
+  try {
+    const { buffer, bytesRead } = await handle.read(
+      Buffer.alloc(SNIFF_BYTES),
+      0,
+      SNIFF_BYTES,
+      0
+    );
+    header = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  const fromExtension = MIME_TYPES_MAP[path.extname(filePath).toLowerCase()];
+  const sniffed = sniffMimeType(header);
+  // The extension is usually more specific (text/csv vs text/plain), so it wins
+  // unless the content says otherwise.
+  const contentType =
+    fromExtension && (!sniffed || mimeTypesAgree(fromExtension, sniffed))
+      ? fromExtension
+      : sniffed || MIME_TYPES_MAP.default;
+  return { contentType, fromExtension, sniffed };
+}
+
+function reportMimeMismatches({ fromExtension, sniffed }, entered) {
+  const sources = [
+    ["extension", fromExtension],
+    ["file content", sniffed],
+    ["entered type", entered],
+  ].filter(([, type]) => type);
+  let agree = true;
+  sources.forEach(([nameA, typeA], i) =>
+    sources.slice(i + 1).forEach(([nameB, typeB]) => {
+      if (mimeTypesAgree(typeA, typeB)) return;
+      agree = false;
+      logWarn(`MIME mismatch: ${nameA} says ${typeA}, ${nameB} says ${typeB}.`);
+    })
+  );
+  if (!agree)
+    logTip(
+      "Browsers and the CDN trust the stored content type. A wrong one breaks previews and downloads, and allowed_mime_types is checked against it, not the bytes."
+    );
+  return agree;
+}
+
+const mimeTypeAllowed = (allowedTypes, type) =>
+  allowedTypes.some((allowed) => {
+    const base = baseContentType(type);
+    if (allowed === "*/*" || allowed === base) return true;
+    return allowed.endsWith("/*") && base.startsWith(allowed.slice(0, -1));
+  });
+
+// Predicts a rejection from the bucket's own settings before sending anything.
+async function precheckBucketPolicy(bucketName, contentType, size) {
+  const { data: settings, error } = await supabase.storage.getBucket(
+    bucketName
+  );
+  if (error) {
+    logWarn(
+      `Could not read bucket settings (${error.message}). Policy pre-check skipped.`
+    );
+    return null;
+  }
+  const problems = [];
+  const allowedTypes = settings.allowed_mime_types || [];
+  if (allowedTypes.length && !mimeTypeAllowed(allowedTypes, contentType))
+    problems.push(
+      `'${contentType}' is not in allowed_mime_types (${allowedTypes.join(
+        ", "
+      )}): expect 415`
+    );
+  if (settings.file_size_limit && size > settings.file_size_limit)
+    problems.push(
+      `${formatBytes(size)} exceeds file_size_limit (${formatBytes(
+        settings.file_size_limit
+      )}): expect 413`
+    );
+  if (problems.length)
+    problems.forEach((problem) => logWarn(`Pre-check: ${problem}.`));
+  else
+    logSuccess(
+      `Pre-check: type and size are within '${bucketName}' bucket limits.`
+    );
+  return problems.length === 0;
+}
+
+async function verifyRoundTrip(bucketName, storagePath, expected, indent = "") {
+  return runCheck(
+    "Round-trip integrity",
+    async () => {
+      const { data: blob, error } = await supabase.storage
+        .from(bucketName)
+        .download(storagePath);
+      if (error)
+        return {
+          status: "failed",
+          message: `Round-trip download FAILED: ${error.message}`,
+          error,
+        };
+      const buffer = Buffer.from(await blob.arrayBuffer());
+      const actual = { sha256: sha256(buffer), size: buffer.length };
+
+      const corruption = [];
+      if (actual.size !== expected.size)
+        corruption.push(`size ${actual.size} != sent ${expected.size} bytes`);
+      if (actual.sha256 !== expected.sha256)
+        corruption.push(`SHA-256 ${actual.sha256} != sent ${expected.sha256}`);
+      if (corruption.length)
+        return {
+          status: "failed",
+          message: `Round-trip CORRUPTION: ${corruption.join("; ")}`,
+          hint: "Check for proxies or middleware rewriting bodies, and that the upload sent the raw file bytes.",
+        };
+
+      if (baseContentType(blob.type) !== baseContentType(expected.contentType))
+        return {
+          status: "warning",
+          message: `Bytes match (SHA-256 ${actual.sha256}) but content type was REWRITTEN: sent '${expected.contentType}', got '${blob.type}'.`,
+          hint: "Storage derives the type from the upload's Content-Type header; check the contentType option and any bucket MIME restrictions.",
+        };
+      return {
+        status: "passed",
+        message: `Round-trip OK: ${actual.size} bytes, SHA-256 ${actual.sha256}, type ${blob.type}.`,
+      };
+    },
+    indent
+  );
+}
+
+async function coreUploadProcessor(
+  bucketName,
+  targetPath,
+  fileSource,
+  contentType,
+  fileSize,
+  { logFailure = true } = {}
+) {
+  logInfo(
+    `Attempting upload: ${bucketName}/${targetPath} (${formatBytes(
+      fileSize
+    )}) Type: ${contentType}`
+  );
+  const startTime = Date.now();
+  try {
+    const { data, error } = await supabase.storage
+      .from(bucketName)
+      .upload(
+        targetPath,
+        fileSource.path
+          ? fs.createReadStream(fileSource.path)
+          : fileSource.buffer,
+        {
+          contentType,
+          cacheControl: "3600",
+          upsert: true,
+        }
+      );
+
+    if (error) {
+      if (logFailure) {
+        logError(`Upload FAILED: ${error.message}`);
+        logTip(
+          getErrorHint(error, {
+            operation: "upload",
+            path: `${bucketName}/${targetPath}`,
+          })
+        );
+      }
+      return { error };
+    }
+
+    const duration = Date.now() - startTime;
+    logSuccess(`Upload SUCCEEDED in ${duration}ms. Path: ${data.path}`);
+
+    const { data: urlData } = supabase.storage
+      .from(bucketName)
+      .getPublicUrl(targetPath);
+    if (urlData?.publicUrl) {
+      logInfo(`Public URL: ${urlData.publicUrl}`);
+      logInfo("Checking public URL accessibility...");
+      const publicUrlCheck = await checkUrl(urlData.publicUrl);
       if (publicUrlCheck.accessible)
         logSuccess(
           `Public URL accessible (Status: ${publicUrlCheck.statusCode}).`
@@ -247,11 +1967,13 @@ async function coreUploadProcessor(
         "Could not retrieve public URL. Bucket might be private or an issue occurred."
       );
     }
-    return data.path;
+    return { path: data.path };
   } catch (e) {
-    logError(`Critical upload exception: ${e.message}`);
-    logTip(getErrorHint(e));
-    return null;
+    if (logFailure) {
+      logError(`Critical upload exception: ${e.message}`);
+      logTip(getErrorHint(e, { operation: "upload" }));
+    }
+    return { error: e };
   }
 }
 
@@ -280,14 +2002,14 @@ async function prepareTestFile(type) {
 }
 
 async function handleGeneratedFileUpload(fileType) {
-  console.clear();
+  clearScreen();
   log(
     COLORS.blue,
     "===",
     `GENERATED ${fileType.toUpperCase()} FILE UPLOAD ===\n`
   );
 
-  const bucketName = await ask("Enter bucket name:");
+  const bucketName = await getInput("bucket", "Enter bucket name:");
   if (!bucketName) {
     logError("Bucket name required.");
     return;
@@ -300,20 +2022,27 @@ async function handleGeneratedFileUpload(fileType) {
   }
 
   const defaultFileName = path.basename(testFile.filePath);
-  const storagePathInput = await ask(
+  const storagePathInput = await getInput(
+    "path",
     `Enter storage path (default: ${DEFAULT_UPLOAD_PATH_PREFIX}/${fileType}/${defaultFileName}):`
   );
   const storagePath =
     storagePathInput ||
     `${DEFAULT_UPLOAD_PATH_PREFIX}/${fileType}/${defaultFileName}`;
 
-  await coreUploadProcessor(
+  const { path: uploadedPath } = await coreUploadProcessor(
     bucketName,
     storagePath,
     { path: testFile.filePath },
     testFile.contentType,
     testFile.fileSize
   );
+  if (uploadedPath)
+    await verifyRoundTrip(bucketName, storagePath, {
+      sha256: await hashFile(testFile.filePath),
+      size: testFile.fileSize,
+      contentType: testFile.contentType,
+    });
 
   try {
     fs.unlinkSync(testFile.filePath);
@@ -324,425 +2053,4388 @@ async function handleGeneratedFileUpload(fileType) {
 }
 
 async function handleCustomFileUpload() {
-  console.clear();
+  clearScreen();
   log(COLORS.blue, "===", `CUSTOM FILE UPLOAD ===\n`);
 
-  const filePath = await ask("Enter FULL local file path:");
+  const filePath = await getInput("file", "Enter FULL local file path:");
   if (!filePath || !fs.existsSync(filePath)) {
     logError(`File not found or path invalid: ${filePath}`);
     return;
   }
 
-  const bucketName = await ask("Enter bucket name:");
+  const bucketName = await getInput("bucket", "Enter bucket name:");
   if (!bucketName) {
     logError("Bucket name required.");
     return;
   }
 
   const fileStats = fs.statSync(filePath);
-  const ext = path.extname(filePath).toLowerCase();
-  const guessedContentType = MIME_TYPES_MAP[ext] || MIME_TYPES_MAP.default;
-
-  let contentType = await ask(
-    `Enter content type (guessed: ${guessedContentType}):`
+  const detected = await detectContentType(filePath);
+  logInfo(
+    `Detected type: ${detected.contentType} (extension: ${
+      detected.fromExtension || "unknown"
+    }, content: ${detected.sniffed || "unrecognized"})`
+  );
+  const enteredContentType = await getInput(
+    "content-type",
+    `Enter content type (detected: ${detected.contentType}):`
   );
-  contentType = contentType || guessedContentType;
+  const contentType = enteredContentType || detected.contentType;
+  reportMimeMismatches(detected, enteredContentType);
 
   const defaultFileName = path.basename(filePath);
-  const storagePathInput = await ask(
+  const storagePathInput = await getInput(
+    "path",
     `Enter storage path (default: ${DEFAULT_UPLOAD_PATH_PREFIX}/custom/${defaultFileName}):`
   );
   const storagePath =
     storagePathInput ||
     `${DEFAULT_UPLOAD_PATH_PREFIX}/custom/${defaultFileName}`;
 
-  await coreUploadProcessor(
+  const withinPolicy = await precheckBucketPolicy(
+    bucketName,
+    contentType,
+    fileStats.size
+  );
+  const { path: uploadedPath } = await coreUploadProcessor(
     bucketName,
     storagePath,
     { path: filePath },
     contentType,
     fileStats.size
   );
+  if (withinPolicy === false && uploadedPath) {
+    logWarn(
+      "Upload succeeded although the pre-check predicted a rejection. The bucket limits may not be enforced."
+    );
+  } else if (withinPolicy === false) {
+    logInfo("The rejection matches the pre-check prediction.");
+  }
+  if (uploadedPath)
+    await verifyRoundTrip(bucketName, storagePath, {
+      sha256: await hashFile(filePath),
+      size: fileStats.size,
+      contentType,
+    });
+}
+
+// Test uploads never overwrite: a path the user picked must not exist yet.
+async function refuseExistingPath(bucketName, storagePath) {
+  const { data: exists } = await supabase.storage
+    .from(bucketName)
+    .exists(storagePath);
+  if (exists !== true) return false;
+  logError(
+    `${bucketName}/${storagePath} already exists. Choose a path that is not in use; the test will not overwrite it.`
+  );
+  return true;
 }
 
-async function checkConnectivity() {
-  console.clear();
-  log(COLORS.blue, "===", `CONNECTION & CONFIGURATION TEST ===\n`);
-  logInfo("1. Basic Supabase Client & Auth Status:");
-  if (supabase) logSuccess("Supabase client instance exists.");
-  else {
-    logError("Supabase client instance MISSING.");
+async function removeTestObject(bucketName, storagePath, generated) {
+  if (!generated) {
+    logInfo(`Test object ${storagePath} left in place (custom path).`);
     return;
   }
-
-  const {
-    data: { user },
-    error: userError,
-  } = await supabase.auth.getUser().catch((e) => ({ data: {}, error: e }));
-  if (userError && userError.message !== "Auth session missing!")
-    logWarn(`Auth check warning: ${userError.message}`);
-  else if (user) logSuccess(`Authenticated as user: ${user.id} (${user.role})`);
-  else
-    logInfo(
-      "No active user session (normal for service key or unauthenticated anon key)."
+  const { data, error } = await supabase.storage
+    .from(bucketName)
+    .remove([storagePath]);
+  if (error) logWarn(`Cleanup of ${storagePath} failed: ${error.message}`);
+  else if (!data?.length)
+    logWarn(
+      `Cleanup of ${storagePath} removed nothing (filtered by RLS delete policy).`
     );
+  else logInfo(`Test object ${storagePath} removed.`);
+}
 
-  logInfo("\n2. Storage API Test (Listing Buckets):");
-  const { data: buckets, error: bucketsError } =
-    await supabase.storage.listBuckets();
-  if (bucketsError) {
-    logError(`Storage API test FAILED: ${bucketsError.message}`);
-    logTip(getErrorHint(bucketsError));
-  } else {
-    logSuccess(`Storage API accessible. Found ${buckets.length} buckets.`);
-  }
+function tusHeaders(extra = {}) {
+  const key = process.env[ENV_SERVICE_KEY] || process.env[ENV_ANON_KEY];
+  return {
+    apikey: activeIdentity ? userApiKey() : key,
+    authorization: `Bearer ${activeIdentity?.accessToken || key}`,
+    "tus-resumable": "1.0.0",
+    ...extra,
+  };
+}
 
-  logInfo("\n3. CORS Check (Public Storage Endpoint):");
-  const supabaseUrl = process.env[ENV_SUPABASE_URL];
-  if (supabaseUrl) {
-    const storagePublicUrl = `${supabaseUrl}/storage/v1/object/public/`;
-    const corsCheck = await checkUrl(storagePublicUrl);
-    if (corsCheck.accessible || corsCheck.statusCode === 400) {
-      // 400 can be OK (e.g. listing not allowed on base public path)
-      logSuccess(
-        `Storage public endpoint seems accessible (Status: ${corsCheck.statusCode}).`
-      );
-    } else {
-      logWarn(
-        `Storage public endpoint check (Status: ${
-          corsCheck.statusCode
-        }, Error: ${corsCheck.error || "N/A"}). Possible CORS issue.`
-      );
-      logTip(
-        "Verify CORS settings in Supabase Dashboard: Project Settings > API > Storage."
-      );
-    }
-  } else {
-    logWarn("Supabase URL not set, cannot perform CORS check.");
-  }
+const encodeTusMetadata = (metadata) =>
+  Object.entries(metadata)
+    .map(([k, v]) => `${k} ${Buffer.from(v).toString("base64")}`)
+    .join(",");
+
+function tusPatch(uploadUrl, offset, chunk, signal) {
+  return tracedFetch(uploadUrl, {
+    method: "PATCH",
+    headers: tusHeaders({
+      "content-type": "application/offset+octet-stream",
+      "upload-offset": String(offset),
+    }),
+    body: chunk,
+    signal,
+  });
 }
 
-async function showBuckets() {
-  console.clear();
-  log(COLORS.blue, "===", `STORAGE BUCKETS LIST ===\n`);
+function readChunk(fd, offset, size, total) {
+  const chunk = Buffer.alloc(Math.min(size, total - offset));
+  fs.readSync(fd, chunk, 0, chunk.length, offset);
+  return chunk;
+}
+
+function renderProgress(uploaded, total, startTime) {
+  const width = 30;
+  const ratio = total ? uploaded / total : 1;
+  const filled = Math.round(ratio * width);
+  const seconds = (Date.now() - startTime) / 1000;
+  const line = `[${"#".repeat(filled)}${".".repeat(width - filled)}] ${(
+    ratio * 100
+  ).toFixed(1)}% ${formatBytes(uploaded)}/${formatBytes(total)} ${formatBytes(
+    seconds > 0 ? uploaded / seconds : 0
+  )}/s`;
+  if (process.stdout.isTTY) process.stdout.write(`\r${line}`);
+  else console.log(line);
+}
+
+function endProgress() {
+  if (process.stdout.isTTY) process.stdout.write("\n");
+}
+
+function generateLargeTestFile(sizeMb) {
+  fs.mkdirSync(TEMP_DIR_PATH, { recursive: true });
+  const filePath = path.join(TEMP_DIR_PATH, `debug-resumable-${sizeMb}mb.bin`);
+  const fd = fs.openSync(filePath, "w");
+  const totalBytes = Math.round(sizeMb * 1024 * 1024);
   try {
-    const { data, error } = await supabase.storage.listBuckets();
-    if (error) {
-      logError(`Failed to list buckets: ${error.message}`);
-      logTip(getErrorHint(error));
-      return;
-    }
-    if (!data.length) {
-      logWarn("No buckets found. Create buckets in your Supabase dashboard.");
-      return;
-    }
-    logSuccess(`Found ${data.length} buckets:\n`);
-    data.forEach((b) => {
-      console.log(`${COLORS.bright}- Name: ${b.name}${COLORS.reset}`);
-      console.log(`  ID: ${b.id}`);
-      console.log(
-        `  Public: ${
-          b.public
-            ? `${COLORS.green}Yes${COLORS.reset}`
-            : `${COLORS.yellow}No${COLORS.reset}`
-        }`
-      );
-      console.log(`  Created: ${new Date(b.created_at).toLocaleString()}`);
-      console.log(
-        `  File Size Limit: ${
-          b.file_size_limit ? formatBytes(b.file_size_limit) : "N/A"
-        }`
-      );
-      console.log(
-        `  Allowed MIME Types: ${
-          b.allowed_mime_types ? b.allowed_mime_types.join(", ") : "Any"
-        }\n`
+    for (let written = 0; written < totalBytes; ) {
+      const block = crypto.randomBytes(
+        Math.min(1024 * 1024, totalBytes - written)
       );
-    });
-  } catch (e) {
-    logError(`Unexpected error listing buckets: ${e.message}`);
+      fs.writeSync(fd, block);
+      written += block.length;
+    }
+  } finally {
+    fs.closeSync(fd);
   }
+  return filePath;
 }
 
-async function showBucketFiles() {
-  console.clear();
-  log(COLORS.blue, "===", `LIST FILES IN BUCKET ===\n`);
-  const bucketName = await ask("Enter bucket name:");
-  if (!bucketName) {
-    logError("Bucket name required.");
-    return;
+async function getBucketSizeLimit(bucketName) {
+  const { data, error } = await supabase.storage.getBucket(bucketName);
+  if (error) {
+    logWarn(
+      `Could not read bucket settings (${error.message}). Size limit pre-check skipped.`
+    );
+    return null;
   }
-  const prefix = await ask(
-    "Enter path prefix (optional, e.g., 'folder/subfolder'):"
-  );
+  return data.file_size_limit || null;
+}
 
-  logInfo(`Listing files in '${bucketName}' (prefix: '${prefix || "/"}')...`);
+async function reportTusFailure(stage, res, offset, sizeLimit) {
+  const body = await res.text().catch(() => "");
+  logError(
+    `${stage} FAILED at offset ${offset} (Status: ${res.status}): ${
+      body || res.statusText
+    }`
+  );
+  if (res.status === 413)
+    logTip(
+      sizeLimit
+        ? `Size limit hit: bucket file_size_limit is ${formatBytes(sizeLimit)}.`
+        : "Size limit hit: no bucket file_size_limit is set, so the project's global upload limit (Dashboard > Storage > Settings) applies."
+    );
+  else
+    logTip(
+      getErrorHint(
+        { message: body || res.statusText, status: res.status },
+        { operation: "resumable-upload" }
+      )
+    );
+}
+
+// A proxy or CORS filter can strip Upload-Offset; trusting NaN would end the
+// loop early and report a false success.
+function readTusOffset(res, { after, max }) {
+  const offset = Number(res.headers.get("upload-offset") ?? NaN);
+  if (!Number.isFinite(offset) || offset < 0 || offset > max) return null;
+  if (after !== undefined && offset <= after) return null;
+  return offset;
+}
+
+function reportTusProtocolFailure(stage, res, offset) {
+  logError(
+    `${stage}: TUS protocol failure at offset ${offset}. The server answered ${
+      res.status
+    } with Upload-Offset '${res.headers.get("upload-offset")}'.`
+  );
+  logTip(
+    "Upload-Offset must be a number that moves forward. Check that no proxy strips it and that it is exposed to this client (Access-Control-Expose-Headers)."
+  );
+}
+
+async function handleResumableUpload() {
+  clearScreen();
+  log(COLORS.blue, "===", `RESUMABLE (TUS) UPLOAD TEST ===\n`);
+
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+
+  let filePath = await getInput(
+    "file",
+    "Enter local file path (blank to generate a test file):"
+  );
+  const generated = !filePath;
+  if (generated) {
+    const sizeMb =
+      parseFloat(
+        await getInput(
+          "size",
+          `Generated file size in MB (default: ${DEFAULT_GENERATED_SIZE_MB}):`
+        )
+      ) || DEFAULT_GENERATED_SIZE_MB;
+    logInfo(`Generating ${sizeMb} MB test file...`);
+    filePath = generateLargeTestFile(sizeMb);
+  } else if (!fs.existsSync(filePath)) {
+    logError(`File not found or path invalid: ${filePath}`);
+    return;
+  }
+
+  const fileSize = fs.statSync(filePath).size;
+  const { contentType: detectedContentType } = await detectContentType(
+    filePath
+  );
+  const contentType =
+    (await getInput(
+      "content-type",
+      `Enter content type (detected: ${detectedContentType}):`
+    )) || detectedContentType;
+  const defaultPath = `${DEFAULT_UPLOAD_PATH_PREFIX}/resumable/${Date.now()}-${path.basename(
+    filePath
+  )}`;
+  const customPath = await getInput(
+    "path",
+    `Enter storage path (default: ${defaultPath}):`
+  );
+  const storagePath = customPath || defaultPath;
+  const chunkSizeMb =
+    parseFloat(
+      await getInput(
+        "chunk-size",
+        `Chunk size in MB (default: ${TUS_DEFAULT_CHUNK_SIZE_MB}):`
+      )
+    ) || TUS_DEFAULT_CHUNK_SIZE_MB;
+  if (chunkSizeMb !== TUS_DEFAULT_CHUNK_SIZE_MB)
+    logWarn(
+      `Hosted Supabase requires ${TUS_DEFAULT_CHUNK_SIZE_MB} MB chunks; other sizes may be rejected.`
+    );
+  const interruptInput = await getInput(
+    "interrupt-at",
+    "Simulate an interruption at percent (blank for none):"
+  );
+  const interruptAt = interruptInput === "" ? null : parseFloat(interruptInput);
+
+  if (await refuseExistingPath(bucketName, storagePath)) {
+    if (generated) fs.rmSync(filePath, { force: true });
+    return;
+  }
+  const sizeLimit = await getBucketSizeLimit(bucketName);
+  if (sizeLimit && fileSize > sizeLimit)
+    logWarn(
+      `File (${formatBytes(
+        fileSize
+      )}) exceeds bucket file_size_limit (${formatBytes(
+        sizeLimit
+      )}). Expect a rejection.`
+    );
+
+  const chunkSize = Math.round(chunkSizeMb * 1024 * 1024);
+  const endpoint = `${process.env[ENV_SUPABASE_URL]}/storage/v1/upload/resumable`;
+  logInfo(
+    `Uploading ${formatBytes(
+      fileSize
+    )} to ${bucketName}/${storagePath} in ${formatBytes(
+      chunkSize
+    )} chunks via ${endpoint}`
+  );
+
+  const fd = fs.openSync(filePath, "r");
+  let offset = 0;
+  let created = false;
+  try {
+    const createRes = await tracedFetch(endpoint, {
+      method: "POST",
+      headers: tusHeaders({
+        "upload-length": String(fileSize),
+        "upload-metadata": encodeTusMetadata({
+          bucketName,
+          objectName: storagePath,
+          contentType,
+          cacheControl: "3600",
+        }),
+      }),
+    });
+    if (createRes.status !== 201) {
+      await reportTusFailure("Creating upload", createRes, 0, sizeLimit);
+      return;
+    }
+    created = true;
+    const uploadUrl = new URL(createRes.headers.get("location"), endpoint).href;
+    logSuccess(`Upload created: ${uploadUrl}`);
+
+    const startTime = Date.now();
+    let interrupted = false;
+    while (offset < fileSize) {
+      const chunk = readChunk(fd, offset, chunkSize, fileSize);
+      if (
+        !interrupted &&
+        interruptAt !== null &&
+        ((offset + chunk.length) / fileSize) * 100 >= interruptAt
+      ) {
+        interrupted = true;
+        // Drop the connection mid-chunk, then ask the server where to resume.
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        await tusPatch(uploadUrl, offset, chunk, controller.signal).catch(
+          () => {}
+        );
+        endProgress();
+        logWarn(`Simulated interruption while sending offset ${offset}.`);
+        const headRes = await tracedFetch(uploadUrl, {
+          method: "HEAD",
+          headers: tusHeaders(),
+        });
+        if (!headRes.ok) {
+          await reportTusFailure("Resume lookup", headRes, offset, sizeLimit);
+          return;
+        }
+        const acknowledged = readTusOffset(headRes, { max: fileSize });
+        if (acknowledged === null) {
+          reportTusProtocolFailure("Resume lookup", headRes, offset);
+          return;
+        }
+        offset = acknowledged;
+        logInfo(
+          `Server acknowledged offset ${offset} (${formatBytes(
+            offset
+          )}). Resuming from there.`
+        );
+        continue;
+      }
+
+      const patchRes = await tusPatch(uploadUrl, offset, chunk);
+      if (patchRes.status !== 204) {
+        endProgress();
+        await reportTusFailure("Chunk upload", patchRes, offset, sizeLimit);
+        return;
+      }
+      const acknowledged = readTusOffset(patchRes, {
+        after: offset,
+        max: fileSize,
+      });
+      if (acknowledged === null) {
+        endProgress();
+        reportTusProtocolFailure("Chunk upload", patchRes, offset);
+        return;
+      }
+      offset = acknowledged;
+      renderProgress(offset, fileSize, startTime);
+    }
+    endProgress();
+
+    const duration = Date.now() - startTime;
+    logSuccess(
+      `Resumable upload SUCCEEDED in ${duration}ms (${formatBytes(
+        (fileSize / Math.max(duration, 1)) * 1000
+      )}/s).`
+    );
+  } catch (e) {
+    endProgress();
+    logError(`Resumable upload exception at offset ${offset}: ${e.message}`);
+    logTip(getErrorHint(e, { operation: "resumable-upload" }));
+  } finally {
+    fs.closeSync(fd);
+    if (generated) fs.rmSync(filePath, { force: true });
+    if (created) await removeTestObject(bucketName, storagePath, !customPath);
+  }
+}
+
+// Counts below 1 would start no runners in runWithConcurrency.
+async function getCountInput(flag, question, defaultValue) {
+  const input = (
+    await getInput(flag, `${question} (default: ${defaultValue}):`)
+  ).trim();
+  if (!input) return defaultValue;
+  const value = Number(input);
+  if (Number.isInteger(value) && value >= 1) return value;
+  logError(`Invalid ${flag} '${input}'. Use a whole number of at least 1.`);
+  return null;
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    }
+  );
+  await Promise.all(runners);
+  return results;
+}
+
+function percentile(sortedValues, p) {
+  if (!sortedValues.length) return 0;
+  const index = Math.ceil((p / 100) * sortedValues.length) - 1;
+  return sortedValues[Math.max(0, Math.min(index, sortedValues.length - 1))];
+}
+
+async function timeOperation(operation) {
+  const startTime = Date.now();
+  try {
+    const { error } = await operation();
+    return { durationMs: Date.now() - startTime, error: error?.message };
+  } catch (e) {
+    return { durationMs: Date.now() - startTime, error: e.message };
+  }
+}
+
+function summarizeBenchmark(label, sizeBytes, results, wallTimeMs) {
+  const ok = results.filter((r) => !r.error);
+  const latencies = ok.map((r) => r.durationMs).sort((a, b) => a - b);
+  return {
+    label,
+    size: formatBytes(sizeBytes),
+    ops: results.length,
+    p50: percentile(latencies, 50),
+    p95: percentile(latencies, 95),
+    p99: percentile(latencies, 99),
+    throughput: (ok.length * sizeBytes * 1000) / Math.max(wallTimeMs, 1),
+    errorRate: (results.length - ok.length) / results.length,
+    errors: [...new Set(results.map((r) => r.error).filter(Boolean))],
+  };
+}
+
+async function benchmarkPhase(label, sizeBytes, items, concurrency, worker) {
+  const startTime = Date.now();
+  const results = await runWithConcurrency(items, concurrency, worker);
+  return summarizeBenchmark(label, sizeBytes, results, Date.now() - startTime);
+}
+
+async function runBenchmark() {
+  clearScreen();
+  log(COLORS.blue, "===", `THROUGHPUT & LATENCY BENCHMARK ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const iterations = await getCountInput(
+    "iterations",
+    "Operations per size",
+    BENCHMARK_DEFAULTS.iterations
+  );
+  if (iterations === null) return;
+  const concurrency = await getCountInput(
+    "concurrency",
+    "Concurrency",
+    BENCHMARK_DEFAULTS.concurrency
+  );
+  if (concurrency === null) return;
+  const sizesKb = (
+    (await getInput(
+      "sizes",
+      `File sizes in KB, comma-separated (default: ${BENCHMARK_DEFAULTS.sizesKb}):`
+    )) || BENCHMARK_DEFAULTS.sizesKb
+  )
+    .split(",")
+    .map((size) => parseFloat(size))
+    .filter((size) => size > 0);
+  if (!sizesKb.length) {
+    logError("At least one valid file size required.");
+    return;
+  }
+
+  const runPrefix = `${DEFAULT_UPLOAD_PATH_PREFIX}/benchmark/${Date.now()}`;
+  const bucket = supabase.storage.from(bucketName);
+  const summaries = [];
+  const uploadedPaths = [];
+
+  for (const sizeKb of sizesKb) {
+    const sizeBytes = Math.round(sizeKb * 1024);
+    const payload = crypto.randomBytes(sizeBytes);
+    const paths = Array.from(
+      { length: iterations },
+      (_, i) => `${runPrefix}/${sizeKb}kb-${i}.bin`
+    );
+    logInfo(
+      `Benchmarking ${iterations}x ${formatBytes(
+        sizeBytes
+      )} (concurrency ${concurrency})...`
+    );
+
+    summaries.push(
+      await benchmarkPhase(
+        "upload",
+        sizeBytes,
+        paths,
+        concurrency,
+        async (objectPath) => {
+          const result = await timeOperation(() =>
+            bucket.upload(objectPath, payload, {
+              contentType: MIME_TYPES_MAP.default,
+              upsert: true,
+            })
+          );
+          if (!result.error) uploadedPaths.push(objectPath);
+          return result;
+        }
+      )
+    );
+    summaries.push(
+      await benchmarkPhase(
+        "download",
+        sizeBytes,
+        paths,
+        concurrency,
+        (objectPath) =>
+          timeOperation(async () => {
+            const { data, error } = await bucket.download(objectPath);
+            // Read the body so the timing covers the full transfer.
+            if (data) await data.arrayBuffer();
+            return { error };
+          })
+      )
+    );
+  }
+
+  console.log(
+    `\n${COLORS.bright}${[
+      "Op".padEnd(10),
+      "Size".padEnd(10),
+      "Ops".padEnd(6),
+      "p50".padEnd(9),
+      "p95".padEnd(9),
+      "p99".padEnd(9),
+      "Throughput".padEnd(14),
+      "Errors",
+    ].join("")}${COLORS.reset}`
+  );
+  summaries.forEach((s) => {
+    const errorColor = s.errorRate ? COLORS.red : COLORS.green;
+    console.log(
+      [
+        s.label.padEnd(10),
+        s.size.padEnd(10),
+        String(s.ops).padEnd(6),
+        `${s.p50}ms`.padEnd(9),
+        `${s.p95}ms`.padEnd(9),
+        `${s.p99}ms`.padEnd(9),
+        `${formatBytes(s.throughput)}/s`.padEnd(14),
+        `${errorColor}${(s.errorRate * 100).toFixed(1)}%${COLORS.reset}`,
+      ].join("")
+    );
+  });
+
+  const failed = summaries.filter((s) => s.errorRate);
+  if (failed.length) {
+    logError(`\n${failed.length} benchmark phase(s) had errors:`);
+    failed.forEach((s) =>
+      s.errors.forEach((message) =>
+        console.log(
+          `  ${s.label} ${s.size}: ${COLORS.dim}${message}${COLORS.reset}`
+        )
+      )
+    );
+  }
+
+  if (uploadedPaths.length) {
+    logInfo(`\nCleaning up ${uploadedPaths.length} benchmark objects...`);
+    let cleanupFailed = false;
+    for (let i = 0; i < uploadedPaths.length; i += 100) {
+      const { error } = await bucket.remove(uploadedPaths.slice(i, i + 100));
+      if (error) {
+        cleanupFailed = true;
+        logWarn(`Cleanup batch failed: ${error.message}`);
+      }
+    }
+    if (cleanupFailed)
+      logWarn(`Manual cleanup of ${bucketName}/${runPrefix} may be needed.`);
+    else logSuccess("Benchmark objects removed.");
+  }
+}
+
+function createWatchProbes(names, bucketName, publicPath) {
+  const bucket = bucketName && supabase.storage.from(bucketName);
+  const urlProbe = async (url) => {
+    const { accessible, statusCode, error } = await checkUrl(url);
+    if (!accessible)
+      throw new Error(`Status ${statusCode}${error ? `, ${error}` : ""}`);
+    return `Status ${statusCode}`;
+  };
+  const probes = {
+    ping: () => urlProbe(process.env[ENV_SUPABASE_URL]),
+    buckets: async () => {
+      const { data, error } = await supabase.storage.listBuckets();
+      if (error) throw error;
+      return `${data.length} buckets`;
+    },
+    roundtrip: async () => {
+      const objectPath = `${DEFAULT_UPLOAD_PATH_PREFIX}/watch/probe-${Date.now()}.txt`;
+      const payload = Buffer.from(`Health probe ${new Date().toISOString()}`);
+      const { error: uploadError } = await bucket.upload(objectPath, payload, {
+        contentType: MIME_TYPES_MAP[".txt"],
+        upsert: true,
+      });
+      if (uploadError) throw uploadError;
+      try {
+        const { data, error } = await bucket.download(objectPath);
+        if (error) throw error;
+        if (sha256(Buffer.from(await data.arrayBuffer())) !== sha256(payload))
+          throw new Error("Downloaded bytes differ from the upload");
+      } finally {
+        await bucket.remove([objectPath]);
+      }
+      return "Upload, download and remove OK";
+    },
+    public: () => urlProbe(bucket.getPublicUrl(publicPath).data.publicUrl),
+  };
+  return names.map((name) => ({
+    name,
+    run: probes[name],
+    state: null,
+    checks: 0,
+    passes: 0,
+    latencies: [],
+    last: null,
+  }));
+}
+
+async function runProbe(probe) {
+  const startTime = Date.now();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timeout after ${WATCH_PROBE_TIMEOUT_MS} ms`)),
+      WATCH_PROBE_TIMEOUT_MS
+    );
+  });
+  let ok = true;
+  let message;
+  try {
+    message = await Promise.race([probe.run(), timeout]);
+  } catch (e) {
+    ok = false;
+    message = e.message;
+  } finally {
+    clearTimeout(timer);
+  }
+  const latencyMs = Date.now() - startTime;
+  probe.checks++;
+  if (ok) probe.passes++;
+  probe.latencies = [...probe.latencies, latencyMs].slice(
+    -WATCH_ROLLING_WINDOW
+  );
+  probe.last = { ok, latencyMs, message };
+}
+
+async function notifyWebhook(webhookUrl, payload) {
+  try {
+    const res = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WATCH_PROBE_TIMEOUT_MS),
+    });
+    if (!res.ok) logWarn(`Webhook responded with status ${res.status}.`);
+  } catch (e) {
+    logWarn(`Webhook POST failed: ${e.message}`);
+  }
+}
+
+async function recordStateChange(probe, state, options) {
+  const previous = probe.state;
+  probe.state = state;
+  const { latencyMs, message } = probe.last;
+  const line = `${new Date().toISOString()} ${probe.name} ${
+    previous || "unknown"
+  } -> ${state} (${latencyMs} ms) ${message}`;
+  options.changes.push(line);
+  if (options.logFile)
+    try {
+      fs.appendFileSync(options.logFile, `${line}\n`);
+    } catch (e) {
+      logWarn(`Could not write to ${options.logFile}: ${e.message}`);
+    }
+  // Warned, not counted: the exit code reflects the state when the monitor stops.
+  if (state === "failing")
+    logWarn(`${WATCH_PROBE_LABELS[probe.name]} is failing: ${message}`);
+  else if (previous)
+    logSuccess(
+      `${WATCH_PROBE_LABELS[probe.name]} recovered (${latencyMs} ms).`
+    );
+
+  // Only real transitions are sent; the first result just sets the baseline.
+  if (options.webhook && previous)
+    await notifyWebhook(options.webhook, {
+      text: `[${activeProfile}] ${
+        WATCH_PROBE_LABELS[probe.name]
+      } is now ${state}: ${message}`,
+      probe: probe.name,
+      status: state,
+      previousStatus: previous,
+      message,
+      latencyMs,
+      at: new Date().toISOString(),
+      profile: activeProfile,
+      supabaseUrl: process.env[ENV_SUPABASE_URL],
+      bucket: options.bucketName || null,
+    });
+}
+
+function printWatchTable(probes, { round, intervalSeconds, changes }) {
+  clearScreen();
+  log(
+    COLORS.blue,
+    "===",
+    `HEALTH MONITOR · round ${round} · every ${intervalSeconds}s · ${describeProfile()} ===`
+  );
+  console.log(
+    `\n${COLORS.bright}${[
+      "Probe".padEnd(16),
+      "Status".padEnd(10),
+      "Last".padEnd(9),
+      "Avg".padEnd(9),
+      "p95".padEnd(9),
+      "Uptime".padEnd(9),
+      "Checks".padEnd(8),
+      "Detail",
+    ].join("")}${COLORS.reset}`
+  );
+  probes.forEach((probe) => {
+    const sorted = [...probe.latencies].sort((a, b) => a - b);
+    const avg = Math.round(
+      sorted.reduce((sum, ms) => sum + ms, 0) / Math.max(sorted.length, 1)
+    );
+    const statusColor = probe.last.ok ? COLORS.green : COLORS.red;
+    console.log(
+      [
+        WATCH_PROBE_LABELS[probe.name].padEnd(16),
+        `${statusColor}${(probe.last.ok ? "UP" : "DOWN").padEnd(10)}${
+          COLORS.reset
+        }`,
+        `${probe.last.latencyMs}ms`.padEnd(9),
+        `${avg}ms`.padEnd(9),
+        `${percentile(sorted, 95)}ms`.padEnd(9),
+        `${((probe.passes / probe.checks) * 100).toFixed(1)}%`.padEnd(9),
+        String(probe.checks).padEnd(8),
+        `${COLORS.dim}${probe.last.message}${COLORS.reset}`,
+      ].join("")
+    );
+  });
+  if (changes.length) {
+    console.log(`\n${COLORS.bright}Recent state changes:${COLORS.reset}`);
+    changes
+      .slice(-5)
+      .forEach((line) => console.log(`  ${COLORS.dim}${line}${COLORS.reset}`));
+  }
+}
+
+async function watchHealth() {
+  clearScreen();
+  log(COLORS.blue, "===", `HEALTH MONITOR ===\n`);
+  const names = (
+    (await getInput(
+      "probes",
+      `Probes, comma-separated (default: ${WATCH_PROBES.join(",")}):`
+    )) || WATCH_PROBES.join(",")
+  )
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = names.filter((name) => !WATCH_PROBES.includes(name));
+  if (unknown.length || !names.length) {
+    logError(
+      `Unknown probe(s): ${unknown.join(", ")}. Choose from ${WATCH_PROBES.join(
+        ", "
+      )}.`
+    );
+    return;
+  }
+  if (names.includes("roundtrip") && !(await confirmProductionWrite())) return;
+  let bucketName;
+  if (names.includes("roundtrip") || names.includes("public")) {
+    bucketName = await getInput(
+      "bucket",
+      "Bucket for the round-trip and public URL probes:"
+    );
+    if (!bucketName) {
+      logError("Bucket name required for the roundtrip and public probes.");
+      return;
+    }
+  }
+  const intervalSeconds =
+    parseFloat(
+      await getInput(
+        "interval",
+        `Seconds between rounds (default: ${WATCH_DEFAULTS.intervalSeconds}):`
+      )
+    ) || WATCH_DEFAULTS.intervalSeconds;
+  const logInput =
+    (await getInput(
+      "log",
+      `State change log file (default: ${WATCH_DEFAULTS.logFile}, 'none' to disable):`
+    )) || WATCH_DEFAULTS.logFile;
+  const logFile = logInput === "none" ? null : logInput;
+  const webhook = await getInput(
+    "webhook",
+    "Webhook URL to POST pass/fail changes to (blank for none):"
+  );
+  // The menu runs until Enter; --count bounds a run from the command line.
+  const rounds = parseInt(cliFlags?.count, 10) || Infinity;
+
+  let publicPath = cliFlags?.path;
+  let uploadedProbe = null;
+  if (names.includes("public") && !publicPath) {
+    publicPath = `${DEFAULT_UPLOAD_PATH_PREFIX}/watch/public-probe.txt`;
+    const { error } = await supabase.storage
+      .from(bucketName)
+      .upload(publicPath, Buffer.from("Public URL health probe"), {
+        contentType: MIME_TYPES_MAP[".txt"],
+        upsert: true,
+      });
+    if (error)
+      logWarn(
+        `Could not upload the public URL probe object: ${getErrorHint(error, {
+          operation: "upload",
+          path: publicPath,
+        })}`
+      );
+    else uploadedProbe = publicPath;
+  }
+
+  const probes = createWatchProbes(names, bucketName, publicPath);
+  const options = {
+    logFile,
+    webhook,
+    bucketName,
+    intervalSeconds,
+    changes: [],
+  };
+  let stopped = false;
+  let wake = () => {};
+  const stop = () => {
+    stopped = true;
+    wake();
+  };
+  if (cliFlags) process.once("SIGINT", stop);
+  else ask("").then(stop);
+
+  for (let round = 1; round <= rounds && !stopped; round++) {
+    for (const probe of probes) {
+      await runProbe(probe);
+      const state = probe.last.ok ? "passing" : "failing";
+      if (state !== probe.state) await recordStateChange(probe, state, options);
+    }
+    printWatchTable(probes, { ...options, round });
+    console.log(
+      `\n${COLORS.dim}${cliFlags ? "Ctrl+C" : "Press Enter"} to stop.${
+        logFile ? ` State changes are logged to ${logFile}.` : ""
+      }${COLORS.reset}`
+    );
+    if (round < rounds && !stopped)
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, intervalSeconds * 1000);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+  }
+  process.off("SIGINT", stop);
+
+  if (uploadedProbe) {
+    const { error } = await supabase.storage
+      .from(bucketName)
+      .remove([uploadedProbe]);
+    if (error) logWarn(`Could not remove ${uploadedProbe}: ${error.message}`);
+  }
+  const failing = probes.filter((probe) => probe.state === "failing");
+  if (failing.length)
+    logError(
+      `Monitor stopped with failing probe(s): ${failing
+        .map((probe) => probe.name)
+        .join(", ")}.`
+    );
+  else logSuccess("Monitor stopped. All probes passing on the last round.");
+}
+
+async function checkConnectivity() {
+  clearScreen();
+  log(COLORS.blue, "===", `CONNECTION & CONFIGURATION TEST ===\n`);
+  beginReport("Connection & Configuration Test");
+  logInfo("1. Basic Supabase Client & Auth Status:");
+  const clientCheck = await runCheck("Supabase client", async () =>
+    supabase
+      ? { status: "passed", message: "Supabase client instance exists." }
+      : { status: "failed", message: "Supabase client instance MISSING." }
+  );
+  if (clientCheck.status === "failed") return saveReport();
+
+  await runCheck("Auth status", async () => {
+    const {
+      data: { user },
+      error: userError,
+    } = await supabase.auth
+      .getUser(activeIdentity?.accessToken)
+      .catch((e) => ({ data: {}, error: e }));
+    if (userError && userError.message !== "Auth session missing!")
+      return {
+        status: "warning",
+        message: `Auth check warning: ${userError.message}`,
+        error: userError,
+      };
+    if (user)
+      return {
+        status: "passed",
+        message: `Authenticated as user: ${user.id} (${user.role})`,
+      };
+    return {
+      status: "passed",
+      message:
+        "No active user session (normal for service key or unauthenticated anon key).",
+    };
+  });
+
+  logInfo("\n2. Storage API Test (Listing Buckets):");
+  await runCheck("Storage API (list buckets)", async () => {
+    const { data: buckets, error: bucketsError } =
+      await supabase.storage.listBuckets();
+    if (bucketsError)
+      return {
+        status: "failed",
+        message: `Storage API test FAILED: ${bucketsError.message}`,
+        error: bucketsError,
+      };
+    return {
+      status: "passed",
+      message: `Storage API accessible. Found ${buckets.length} buckets.`,
+    };
+  });
+
+  logInfo("\n3. CORS Check (Public Storage Endpoint):");
+  await runCheck("Public storage endpoint", async () => {
+    const supabaseUrl = process.env[ENV_SUPABASE_URL];
+    if (!supabaseUrl)
+      return {
+        status: "skipped",
+        message: "Supabase URL not set, cannot perform CORS check.",
+      };
+    const storagePublicUrl = `${supabaseUrl}/storage/v1/object/public/`;
+    const corsCheck = await checkUrl(storagePublicUrl);
+    if (corsCheck.accessible || corsCheck.statusCode === 400) {
+      // 400 can be OK (e.g. listing not allowed on base public path)
+      return {
+        status: "passed",
+        message: `Storage public endpoint seems accessible (Status: ${corsCheck.statusCode}).`,
+      };
+    }
+    return {
+      status: "warning",
+      message: `Storage public endpoint check (Status: ${
+        corsCheck.statusCode
+      }, Error: ${corsCheck.error || "N/A"}). Possible CORS issue.`,
+      hint: "Verify CORS settings in Supabase Dashboard: Project Settings > API > Storage.",
+    };
+  });
+  logTip(CORS_TIP);
+
+  await saveReport();
+}
+
+async function showBuckets() {
+  clearScreen();
+  log(COLORS.blue, "===", `STORAGE BUCKETS LIST ===\n`);
+  try {
+    const { data, error } = await supabase.storage.listBuckets();
+    if (error) {
+      logError(`Failed to list buckets: ${error.message}`);
+      logTip(getErrorHint(error, { operation: "list-buckets" }));
+      return;
+    }
+    if (!data.length) {
+      logWarn("No buckets found. Create buckets in your Supabase dashboard.");
+      return;
+    }
+    logSuccess(`Found ${data.length} buckets:\n`);
+    data.forEach((b) => {
+      console.log(`${COLORS.bright}- Name: ${b.name}${COLORS.reset}`);
+      console.log(`  ID: ${b.id}`);
+      console.log(
+        `  Public: ${
+          b.public
+            ? `${COLORS.green}Yes${COLORS.reset}`
+            : `${COLORS.yellow}No${COLORS.reset}`
+        }`
+      );
+      console.log(`  Created: ${new Date(b.created_at).toLocaleString()}`);
+      console.log(
+        `  File Size Limit: ${
+          b.file_size_limit ? formatBytes(b.file_size_limit) : "N/A"
+        }`
+      );
+      console.log(
+        `  Allowed MIME Types: ${
+          b.allowed_mime_types ? b.allowed_mime_types.join(", ") : "Any"
+        }\n`
+      );
+    });
+  } catch (e) {
+    logError(`Unexpected error listing buckets: ${e.message}`);
+  }
+}
+
+function parseYesNo(input, fallback) {
+  const value = String(input).trim().toLowerCase();
+  if (["y", "yes", "true"].includes(value)) return true;
+  if (["n", "no", "false"].includes(value)) return false;
+  return fallback;
+}
+
+function parseAge(input) {
+  const match = String(input)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(m|h|d)?$/i);
+  if (!match) return undefined;
+  const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseFloat(match[1]) * units[(match[2] || "d").toLowerCase()];
+}
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / (24 * 60))}d`;
+}
+
+function parseSize(input) {
+  const match = String(input)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) return undefined;
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.round(
+    parseFloat(match[1]) * units[(match[2] || "b").toLowerCase()]
+  );
+}
+
+async function promptBucketSettings(current) {
+  const keep = (value) => (current ? `, blank keeps: ${value}` : "");
+  const publicInput = await getInput(
+    "public",
+    `Public bucket? (y/N${keep(current?.public ? "y" : "n")}):`
+  );
+  const isPublic = parseYesNo(publicInput, current ? current.public : false);
+
+  const sizeInput = await getInput(
+    "size-limit",
+    `File size limit (e.g. 5MB, 'none' for no limit${keep(
+      current?.file_size_limit ? formatBytes(current.file_size_limit) : "none"
+    )}):`
+  );
+  let fileSizeLimit = current ? current.file_size_limit : null;
+  if (sizeInput.toLowerCase() === "none") fileSizeLimit = null;
+  else if (sizeInput) {
+    fileSizeLimit = parseSize(sizeInput);
+    if (fileSizeLimit === undefined) {
+      logError(`Invalid size limit '${sizeInput}'.`);
+      return null;
+    }
+  }
+
+  const mimeInput = await getInput(
+    "mime-types",
+    `Allowed MIME types, comma-separated ('any' for no restriction${keep(
+      current?.allowed_mime_types?.join(", ") || "any"
+    )}):`
+  );
+  let allowedMimeTypes = current ? current.allowed_mime_types : null;
+  if (mimeInput.toLowerCase() === "any") allowedMimeTypes = null;
+  else if (mimeInput)
+    allowedMimeTypes = mimeInput
+      .split(",")
+      .map((type) => type.trim())
+      .filter(Boolean);
+
+  return { public: isPublic, fileSizeLimit, allowedMimeTypes };
+}
+
+function describeBucketSettings(settings) {
+  console.log(`  Public: ${settings.public ? "Yes" : "No"}`);
+  console.log(
+    `  File Size Limit: ${
+      settings.fileSizeLimit ? formatBytes(settings.fileSizeLimit) : "N/A"
+    }`
+  );
+  console.log(
+    `  Allowed MIME Types: ${
+      settings.allowedMimeTypes?.length
+        ? settings.allowedMimeTypes.join(", ")
+        : "Any"
+    }`
+  );
+}
+
+async function confirmDestructive(question) {
+  if (!(await confirmInput("yes", question))) {
+    if (cliFlags) logError("Not confirmed. Pass --yes to proceed.");
+    else logWarn("Cancelled.");
+    return false;
+  }
+  return confirmProductionWrite();
+}
+
+async function confirmProductionWrite() {
+  if (!isProductionProfile() || productionConfirmed) return true;
+
+  logWarn(`Profile '${activeProfile}' is marked PRODUCTION.`);
+  if (cliFlags) {
+    if (cliFlags["confirm-production"]) return (productionConfirmed = true);
+    logError("Pass --confirm-production to write to production.");
+    return false;
+  }
+  const typed = await ask(
+    `This writes to the project. Type the profile name '${activeProfile}' to confirm:`
+  );
+  if (typed === activeProfile) return (productionConfirmed = true);
+  logWarn("Cancelled.");
+  return false;
+}
+
+async function createBucket() {
+  clearScreen();
+  log(COLORS.blue, "===", `CREATE BUCKET ===\n`);
+  const bucketName = await getInput("bucket", "Enter new bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const settings = await promptBucketSettings(null);
+  if (!settings) return;
+
+  console.log(`\nBucket '${bucketName}':`);
+  describeBucketSettings(settings);
+  if (!(await confirmDestructive("Create this bucket? (y/N):"))) return;
+  const { error } = await supabase.storage.createBucket(bucketName, settings);
+  if (error) {
+    logError(`Create bucket FAILED: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "create-bucket" }));
+    return;
+  }
+  logSuccess(`Bucket '${bucketName}' created.`);
+  await verifyBucketSettings(bucketName);
+}
+
+async function updateBucket() {
+  clearScreen();
+  log(COLORS.blue, "===", `UPDATE BUCKET ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const { data: current, error: getError } = await supabase.storage.getBucket(
+    bucketName
+  );
+  if (getError) {
+    logError(`Failed to read bucket: ${getError.message}`);
+    logTip(getErrorHint(getError, { operation: "list-buckets" }));
+    return;
+  }
+  const settings = await promptBucketSettings(current);
+  if (!settings) return;
+
+  console.log(`\nNew settings for '${bucketName}':`);
+  describeBucketSettings(settings);
+  if (!(await confirmDestructive("Apply these settings? (y/N):"))) return;
+  const { error } = await supabase.storage.updateBucket(bucketName, settings);
+  if (error) {
+    logError(`Update bucket FAILED: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "update-bucket" }));
+    return;
+  }
+  logSuccess(`Bucket '${bucketName}' updated.`);
+  await verifyBucketSettings(bucketName);
+}
+
+async function emptyBucket() {
+  clearScreen();
+  log(COLORS.blue, "===", `EMPTY BUCKET ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  if (
+    !(await confirmDestructive(
+      `Permanently delete ALL objects in '${bucketName}'? (y/N):`
+    ))
+  )
+    return;
+  const { error } = await supabase.storage.emptyBucket(bucketName);
+  if (error) {
+    logError(`Empty bucket FAILED: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "empty-bucket" }));
+    return;
+  }
+  logSuccess(`Bucket '${bucketName}' emptied.`);
+}
+
+async function deleteBucket() {
+  clearScreen();
+  log(COLORS.blue, "===", `DELETE BUCKET ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  if (
+    !(await confirmDestructive(
+      `Permanently delete bucket '${bucketName}'? (y/N):`
+    ))
+  )
+    return;
+  const { error } = await supabase.storage.deleteBucket(bucketName);
+  if (error) {
+    logError(`Delete bucket FAILED: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "delete-bucket" }));
+    return;
+  }
+  logSuccess(`Bucket '${bucketName}' deleted.`);
+}
+
+// Only these answers prove the setting; RLS, auth or network failures do not.
+const SETTING_REJECTIONS = {
+  size: { status: 413, codes: ["entitytoolarge", "payload too large"] },
+  mime: { status: 415, codes: ["invalidmimetype", "invalid_mime_type"] },
+};
+
+async function expectUploadRejected(
+  name,
+  bucket,
+  objectPath,
+  body,
+  contentType,
+  setting
+) {
+  return runCheck(name, async () => {
+    const { error } = await bucket.upload(objectPath, body, {
+      contentType,
+      upsert: true,
+    });
+    if (error) {
+      const { status, code } = errorDetails(error);
+      const expected = SETTING_REJECTIONS[setting];
+      if (
+        status === expected.status ||
+        expected.codes.includes(code?.toLowerCase())
+      )
+        return {
+          status: "passed",
+          message: `${name}: rejected as expected (${error.message}).`,
+        };
+      return {
+        status: "warning",
+        message: `${name}: could not verify, the upload failed for another reason (${error.message}).`,
+        error,
+      };
+    }
+    await bucket.remove([objectPath]);
+    return {
+      status: "failed",
+      message: `${name}: upload was ACCEPTED. The bucket setting is not enforced.`,
+    };
+  });
+}
+
+function sampleAllowedMimeType(allowedMimeTypes) {
+  const type = allowedMimeTypes[0];
+  if (type === "*/*") return "text/plain";
+  return type.endsWith("/*") ? type.replace("/*", "/x-supabase-debug") : type;
+}
+
+async function verifyBucketSettings(bucketNameInput) {
+  if (!bucketNameInput) {
+    clearScreen();
+    log(COLORS.blue, "===", `BUCKET SETTINGS ENFORCEMENT CHECK ===\n`);
+  }
+  const bucketName =
+    bucketNameInput || (await getInput("bucket", "Enter bucket name:"));
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  logInfo(`\nVerifying settings are enforced on '${bucketName}':`);
+  const { data: settings, error } = await supabase.storage.getBucket(
+    bucketName
+  );
+  if (error) {
+    logError(`Failed to read bucket: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "list-buckets" }));
+    return;
+  }
+  const bucket = supabase.storage.from(bucketName);
+  const probePath = `${DEFAULT_UPLOAD_PATH_PREFIX}/settings-check`;
+  const allowedTypes = settings.allowed_mime_types || [];
+  const allowedType = allowedTypes.length
+    ? sampleAllowedMimeType(allowedTypes)
+    : "text/plain";
+
+  if (allowedTypes.length && !allowedTypes.includes("*/*")) {
+    await expectUploadRejected(
+      "Disallowed MIME type",
+      bucket,
+      `${probePath}/disallowed.bin`,
+      Buffer.from("disallowed"),
+      "application/x-supabase-debug-disallowed",
+      "mime"
+    );
+    await runCheck("Allowed MIME type", async () => {
+      const objectPath = `${probePath}/allowed.bin`;
+      const { error } = await bucket.upload(
+        objectPath,
+        Buffer.from("allowed"),
+        { contentType: allowedType, upsert: true }
+      );
+      if (error)
+        return {
+          status: "failed",
+          message: `Allowed MIME type '${allowedType}' was REJECTED (${error.message}).`,
+          error,
+        };
+      await bucket.remove([objectPath]);
+      return {
+        status: "passed",
+        message: `Allowed MIME type '${allowedType}' accepted.`,
+      };
+    });
+  } else {
+    logInfo("No MIME type restriction set; MIME checks skipped.");
+  }
+
+  const limit = settings.file_size_limit;
+  if (limit && limit < MAX_OVERSIZE_PROBE_BYTES) {
+    await expectUploadRejected(
+      `Oversized file (${formatBytes(limit)} + 1 byte)`,
+      bucket,
+      `${probePath}/oversized.bin`,
+      Buffer.alloc(limit + 1),
+      allowedType,
+      "size"
+    );
+  } else if (limit) {
+    logWarn(
+      `File size limit ${formatBytes(
+        limit
+      )} is too large to probe; size check skipped.`
+    );
+  } else {
+    logInfo("No file size limit set; size check skipped.");
+  }
+}
+
+async function bucketAdministration() {
+  clearScreen();
+  log(COLORS.blue, "===", `BUCKET ADMINISTRATION ===\n`);
+  if (!process.env[ENV_SERVICE_KEY])
+    logWarn(
+      `Bucket administration usually requires ${ENV_SERVICE_KEY}. Expect failures with the anon key.`
+    );
+  const actions = {
+    1: { description: "Create Bucket", func: createBucket },
+    2: { description: "Update Bucket Settings", func: updateBucket },
+    3: { description: "Empty Bucket", func: emptyBucket },
+    4: { description: "Delete Bucket", func: deleteBucket },
+    5: {
+      description: "Verify Settings Are Enforced",
+      func: () => verifyBucketSettings(),
+    },
+  };
+  Object.entries(actions).forEach(([key, { description }]) => {
+    console.log(`${COLORS.yellow}${key}.${COLORS.reset} ${description}`);
+  });
+  const selected = actions[await ask("\nYour choice:")];
+  if (selected) await selected.func();
+  else logWarn("Invalid selection.");
+}
+
+const itemSize = (item) => item.bytes ?? item.metadata?.size ?? 0;
+
+async function listAllItems(
+  bucketName,
+  prefix,
+  { sort, order, search },
+  client = supabase
+) {
+  const items = [];
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await client.storage.from(bucketName).list(prefix, {
+      limit: LIST_PAGE_SIZE,
+      offset,
+      // The list API cannot sort by size; that happens client-side.
+      sortBy: { column: sort === "size" ? "name" : sort, order },
+      ...(search && { search }),
+    });
+    if (error) throw error;
+    items.push(...data);
+    if (data.length < LIST_PAGE_SIZE) break;
+  }
+  if (sort === "size") sortBySize(items, order);
+  return items;
+}
+
+function sortBySize(items, order) {
+  const direction = order === "desc" ? -1 : 1;
+  items.sort((a, b) => (itemSize(a) - itemSize(b)) * direction);
+}
+
+async function buildListingTree(bucketName, prefix, options) {
+  const node = { files: 0, bytes: 0, children: [] };
+  for (const item of await listAllItems(bucketName, prefix, options)) {
+    const isDir = !item.id;
+    if (isDir) {
+      const child = await buildListingTree(
+        bucketName,
+        prefix ? `${prefix}/${item.name}` : item.name,
+        options
+      );
+      node.children.push({ ...child, name: item.name, isDir });
+      node.files += child.files;
+      node.bytes += child.bytes;
+    } else {
+      node.children.push(item);
+      node.files++;
+      node.bytes += itemSize(item);
+    }
+  }
+  // Folder sizes are only known once their contents have been walked.
+  if (options.sort === "size") sortBySize(node.children, options.order);
+  return node;
+}
+
+function renderListingTree(node, indent = "") {
+  node.children.forEach((child, i) => {
+    const isLast = i === node.children.length - 1;
+    const branch = `${indent}${isLast ? "└── " : "├── "}`;
+    if (child.isDir) {
+      console.log(
+        `${branch}📁 ${child.name} ${COLORS.dim}(${
+          child.files
+        } files, ${formatBytes(child.bytes)})${COLORS.reset}`
+      );
+      renderListingTree(child, `${indent}${isLast ? "    " : "│   "}`);
+    } else {
+      console.log(
+        `${branch}📄 ${child.name} ${COLORS.dim}(${formatBytes(
+          itemSize(child)
+        )}, MIME: ${child.metadata?.mimetype || "N/A"})${COLORS.reset}`
+      );
+    }
+  });
+}
+
+async function showBucketFiles() {
+  clearScreen();
+  log(COLORS.blue, "===", `LIST FILES IN BUCKET ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const prefix = (
+    await getInput(
+      "prefix",
+      "Enter path prefix (optional, e.g., 'folder/subfolder'):"
+    )
+  ).replace(/^\/+|\/+$/g, "");
+  const recursive = await confirmInput(
+    "recursive",
+    "List sub-folders recursively as a tree? (y/N):"
+  );
+  const sort =
+    (await getInput(
+      "sort",
+      `Sort by (${LIST_SORT_COLUMNS.join("/")}, default: name):`
+    )) || "name";
+  if (!LIST_SORT_COLUMNS.includes(sort)) {
+    logError(
+      `Invalid sort column '${sort}'. Use ${LIST_SORT_COLUMNS.join(", ")}.`
+    );
+    return;
+  }
+  const order =
+    (await getInput("order", "Sort order (asc/desc, default: asc):")) === "desc"
+      ? "desc"
+      : "asc";
+  const search = await getInput("search", "Search filter on names (optional):");
+  const options = { sort, order, search };
+
+  logInfo(
+    `Listing files in '${bucketName}' (prefix: '${prefix || "/"}'${
+      search ? `, search: '${search}'` : ""
+    }, sort: ${sort} ${order})...`
+  );
+  if (recursive && search)
+    logTip(
+      "The search filter applies at every level, so folders whose names do not match are not walked."
+    );
+  try {
+    if (recursive) {
+      const tree = await buildListingTree(bucketName, prefix, options);
+      if (!tree.children.length) {
+        logWarn("No files or folders found at this location.");
+        return;
+      }
+      logSuccess(
+        `Found ${tree.files} files (${formatBytes(tree.bytes)} total):\n`
+      );
+      console.log(`📁 ${prefix || bucketName}`);
+      renderListingTree(tree);
+      return;
+    }
+
+    const data = await listAllItems(bucketName, prefix, options);
+    if (!data.length) {
+      logWarn("No files or folders found at this location.");
+      return;
+    }
+    const files = data.filter((item) => item.id);
+    logSuccess(
+      `Found ${data.length} items (${files.length} files, ${formatBytes(
+        files.reduce((sum, item) => sum + itemSize(item), 0)
+      )} at this level):\n`
+    );
+    data.forEach((item) => {
+      const isDir = !item.id;
+      const itemName = `${isDir ? "📁" : "📄"} ${item.name}`;
+      const itemMeta = isDir
+        ? "(Directory)"
+        : `(${formatBytes(itemSize(item))}, MIME: ${
+            item.metadata?.mimetype || "N/A"
+          })`;
+      console.log(`${itemName} ${COLORS.dim}${itemMeta}${COLORS.reset}`);
+      if (!isDir) {
+        const { data: urlData } = supabase.storage
+          .from(bucketName)
+          .getPublicUrl((prefix ? prefix + "/" : "") + item.name);
+        if (urlData?.publicUrl)
+          console.log(
+            `   ${COLORS.cyan}URL: ${urlData.publicUrl}${COLORS.reset}`
+          );
+      }
+    });
+  } catch (e) {
+    logError(`Failed to list files: ${e.message}`);
+    logTip(getErrorHint(e, { operation: "list" }));
+  }
+}
+
+async function removeInBatches(bucketName, paths) {
+  const removed = new Set();
+  const failures = [];
+  for (let i = 0; i < paths.length; i += REMOVE_BATCH_SIZE) {
+    const batch = paths.slice(i, i + REMOVE_BATCH_SIZE);
+    const { data, error } = await supabase.storage
+      .from(bucketName)
+      .remove(batch);
+    if (error) {
+      batch.forEach((path) => failures.push({ path, error }));
+      continue;
+    }
+    data.forEach(({ name }) => removed.add(name));
+    // RLS filters remove() silently instead of returning an error.
+    batch
+      .filter((path) => !removed.has(path))
+      .forEach((path) =>
+        failures.push({
+          path,
+          error: new Error("Not removed (no delete policy allows it?)"),
+        })
+      );
+  }
+  return { removed, failures };
+}
+
+function walkLocalDir(rootDir, relDir = "", files = new Map()) {
+  const entries = fs.readdirSync(path.join(rootDir, relDir), {
+    withFileTypes: true,
+  });
+  for (const entry of entries) {
+    const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) walkLocalDir(rootDir, relPath, files);
+    else if (entry.isFile()) {
+      const stats = fs.statSync(path.join(rootDir, relPath));
+      files.set(relPath, { size: stats.size, modified: stats.mtimeMs });
+    }
+  }
+  return files;
+}
+
+async function walkRemotePrefix(
+  bucketName,
+  prefix,
+  relDir = "",
+  files = new Map()
+) {
+  const listPrefix = [prefix, relDir].filter(Boolean).join("/");
+  const items = await listAllItems(bucketName, listPrefix, {
+    sort: "name",
+    order: "asc",
+  });
+  for (const item of items) {
+    const relPath = relDir ? `${relDir}/${item.name}` : item.name;
+    if (!item.id) await walkRemotePrefix(bucketName, prefix, relPath, files);
+    else if (item.name !== EMPTY_FOLDER_PLACEHOLDER)
+      files.set(relPath, {
+        size: itemSize(item),
+        modified: Date.parse(item.metadata?.lastModified || item.updated_at),
+        eTag: item.metadata?.eTag,
+      });
+  }
+  return files;
+}
+
+// Single-part uploads get the MD5 of their content as ETag. Multipart ETags
+// ("<hash>-<parts>") cannot be recomputed locally.
+const contentMd5 = (eTag) =>
+  /^"?([a-f0-9]{32})"?$/i.exec(eTag || "")?.[1].toLowerCase();
+
+async function syncDifference(localPath, local, remote, direction) {
+  if (local.size !== remote.size) return "size differs";
+  const remoteMd5 = contentMd5(remote.eTag);
+  if (remoteMd5)
+    return remoteMd5 === (await hashFile(localPath, "md5"))
+      ? null
+      : "content differs";
+  if (direction === "upload")
+    return local.modified > remote.modified ? "newer locally" : null;
+  return remote.modified > local.modified ? "newer in bucket" : null;
+}
+
+// Object keys may contain ".." segments; never let one write outside localDir.
+function resolveSyncPath(localDir, relPath) {
+  const root = path.resolve(localDir);
+  const target = path.resolve(root, ...relPath.split("/"));
+  return target.startsWith(`${root}${path.sep}`) ? target : null;
+}
+
+async function buildSyncPlan(localDir, localFiles, allRemoteFiles, options) {
+  const { direction, deleteExtras } = options;
+  const remoteFiles = new Map(
+    [...allRemoteFiles].filter(([relPath]) => {
+      if (resolveSyncPath(localDir, relPath)) return true;
+      logWarn(`Skipping '${relPath}': it would resolve outside ${localDir}.`);
+      return false;
+    })
+  );
+  const [sourceFiles, targetFiles] =
+    direction === "upload"
+      ? [localFiles, remoteFiles]
+      : [remoteFiles, localFiles];
+  const plan = { changes: [], unchanged: 0, extras: 0 };
+
+  for (const [relPath, source] of sourceFiles) {
+    const local = localFiles.get(relPath);
+    const remote = remoteFiles.get(relPath);
+    const reason =
+      local && remote
+        ? await syncDifference(
+            resolveSyncPath(localDir, relPath),
+            local,
+            remote,
+            direction
+          )
+        : "new";
+    if (reason)
+      plan.changes.push({
+        action: direction,
+        relPath,
+        size: source.size,
+        reason,
+      });
+    else plan.unchanged++;
+  }
+  for (const [relPath, target] of targetFiles) {
+    if (sourceFiles.has(relPath)) continue;
+    if (deleteExtras)
+      plan.changes.push({
+        action: "delete",
+        relPath,
+        size: target.size,
+        reason:
+          direction === "upload" ? "not in local folder" : "not in bucket",
+      });
+    else plan.extras++;
+  }
+  return plan;
+}
+
+function printSyncPlan(plan) {
+  plan.changes.forEach(({ action, relPath, size, reason }) => {
+    const [symbol, color] =
+      action === "delete"
+        ? ["-", COLORS.red]
+        : reason === "new"
+        ? ["+", COLORS.green]
+        : ["~", COLORS.yellow];
+    console.log(
+      `  ${color}${symbol} ${action.padEnd(9)}${COLORS.reset} ${relPath} ${
+        COLORS.dim
+      }(${formatBytes(size)}, ${reason})${COLORS.reset}`
+    );
+  });
+  logInfo(
+    `${plan.changes.length} changes, ${plan.unchanged} unchanged${
+      plan.extras
+        ? `, ${plan.extras} extra files kept (enable deletes to remove them)`
+        : ""
+    }.`
+  );
+}
+
+async function executeSyncPlan(bucketName, prefix, localDir, plan, options) {
+  const { direction, concurrency } = options;
+  const storage = supabase.storage.from(bucketName);
+  const storagePath = (relPath) => (prefix ? `${prefix}/${relPath}` : relPath);
+  const localPath = (relPath) => {
+    const target = resolveSyncPath(localDir, relPath);
+    if (!target) throw new Error(`'${relPath}' resolves outside ${localDir}`);
+    return target;
+  };
+  const results = { transferred: 0, bytes: 0, deleted: 0, failed: 0 };
+  const fail = (change, error) => {
+    results.failed++;
+    logError(`  ${change.action} ${change.relPath} FAILED: ${error.message}`);
+    logTip(
+      `  ${getErrorHint(error, {
+        operation: change.action === "delete" ? "remove" : change.action,
+        path: change.relPath,
+      })}`
+    );
+  };
+
+  const transfers = plan.changes.filter(({ action }) => action !== "delete");
+  await runWithConcurrency(transfers, concurrency, async (change) => {
+    // Local filesystem errors (EISDIR, EACCES, ...) fail this file, not the sync.
+    try {
+      const filePath = localPath(change.relPath);
+      if (direction === "upload") {
+        const { error } = await storage.upload(
+          storagePath(change.relPath),
+          fs.readFileSync(filePath),
+          {
+            contentType: (await detectContentType(filePath)).contentType,
+            upsert: true,
+          }
+        );
+        if (error) return fail(change, error);
+      } else {
+        const { data: blob, error } = await storage.download(
+          storagePath(change.relPath)
+        );
+        if (error) return fail(change, error);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, Buffer.from(await blob.arrayBuffer()));
+      }
+    } catch (e) {
+      return fail(change, e);
+    }
+    results.transferred++;
+    results.bytes += change.size;
+    logSuccess(
+      `  ${direction === "upload" ? "Uploaded" : "Downloaded"} ${
+        change.relPath
+      }`
+    );
+  });
+
+  const deletions = plan.changes.filter(({ action }) => action === "delete");
+  if (direction === "download") {
+    deletions.forEach((change) => {
+      try {
+        fs.rmSync(localPath(change.relPath));
+        results.deleted++;
+      } catch (e) {
+        fail(change, e);
+      }
+    });
+    return results;
+  }
+  const { failures } = await removeInBatches(
+    bucketName,
+    deletions.map(({ relPath }) => storagePath(relPath))
+  );
+  const failed = new Map(failures.map(({ path, error }) => [path, error]));
+  deletions.forEach((change) => {
+    const error = failed.get(storagePath(change.relPath));
+    if (error) fail(change, error);
+    else results.deleted++;
+  });
+  return results;
+}
+
+async function syncDirectory() {
+  clearScreen();
+  log(COLORS.blue, "===", `SYNC LOCAL FOLDER WITH BUCKET ===\n`);
+  const localDir = await getInput("dir", "Enter local directory path:");
+  if (!localDir) {
+    logError("Local directory required.");
+    return;
+  }
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const prefix = (
+    await getInput("prefix", "Enter bucket path prefix (optional):")
+  ).replace(/^\/+|\/+$/g, "");
+  const direction =
+    (await getInput(
+      "direction",
+      "Direction (upload = folder to bucket, download = bucket to folder, default: upload):"
+    )) || "upload";
+  if (!SYNC_DIRECTIONS.includes(direction)) {
+    logError(
+      `Invalid direction '${direction}'. Use ${SYNC_DIRECTIONS.join(" or ")}.`
+    );
+    return;
+  }
+  if (
+    direction === "upload" &&
+    !(fs.existsSync(localDir) && fs.statSync(localDir).isDirectory())
+  ) {
+    logError(`Directory not found: ${localDir}`);
+    return;
+  }
+  const deleteExtras = await confirmInput(
+    "delete",
+    direction === "upload"
+      ? "Delete bucket files that are not in the folder? (y/N):"
+      : "Delete local files that are not in the bucket? (y/N):"
+  );
+  const dryRun = await confirmInput(
+    "dry-run",
+    "Dry run (only print the planned changes)? (y/N):"
+  );
+  const concurrency = await getCountInput(
+    "concurrency",
+    "Concurrency",
+    DEFAULT_SYNC_CONCURRENCY
+  );
+  if (concurrency === null) return;
+
+  logInfo(
+    `Comparing '${localDir}' with ${bucketName}/${prefix} (${direction})...`
+  );
+  let plan;
+  try {
+    const localFiles = fs.existsSync(localDir)
+      ? walkLocalDir(localDir)
+      : new Map();
+    const remoteFiles = await walkRemotePrefix(bucketName, prefix);
+    plan = await buildSyncPlan(localDir, localFiles, remoteFiles, {
+      direction,
+      deleteExtras,
+    });
+  } catch (e) {
+    logError(`Failed to compare folder and bucket: ${e.message}`);
+    logTip(getErrorHint(e, { operation: "list" }));
+    return;
+  }
+  printSyncPlan(plan);
+  if (!plan.changes.length) {
+    logSuccess("Already in sync.");
+    return;
+  }
+  if (dryRun) {
+    logInfo("Dry run: nothing was changed.");
+    return;
+  }
+  const deletions = plan.changes.filter(({ action }) => action === "delete");
+  if (
+    deletions.length &&
+    !(await confirmDestructive(
+      `Delete ${deletions.length} ${
+        direction === "upload" ? "bucket objects" : "local files"
+      }? (y/N):`
+    ))
+  )
+    return;
+  if (direction === "upload" && !(await confirmProductionWrite())) return;
+
+  const startTime = Date.now();
+  const results = await executeSyncPlan(bucketName, prefix, localDir, plan, {
+    direction,
+    concurrency,
+  });
+  const seconds = (Date.now() - startTime) / 1000;
+  console.log(`\n${COLORS.bright}Sync summary:${COLORS.reset}`);
+  console.log(
+    `  ${direction === "upload" ? "Uploaded" : "Downloaded"}: ${
+      results.transferred
+    } files (${formatBytes(results.bytes)}) in ${seconds.toFixed(1)}s`
+  );
+  console.log(`  Deleted: ${results.deleted}`);
+  console.log(`  Unchanged: ${plan.unchanged}`);
+  if (plan.extras) console.log(`  Extra files kept: ${plan.extras}`);
+  console.log(`  Failed: ${results.failed}`);
+  if (results.failed) logWarn(`Sync finished with ${results.failed} failures.`);
+  else logSuccess("Sync complete.");
+}
+
+async function cleanupDebugArtifacts() {
+  clearScreen();
+  log(COLORS.blue, "===", `CLEAN UP DEBUG ARTIFACTS ===\n`);
+  let bucketNames = (
+    await getInput(
+      "bucket",
+      "Buckets to scan, comma-separated (blank scans all):"
+    )
+  )
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  if (!bucketNames.length) {
+    const { data, error } = await supabase.storage.listBuckets();
+    if (error) {
+      logError(`Failed to list buckets: ${error.message}`);
+      logTip(getErrorHint(error, { operation: "list-buckets" }));
+      return;
+    }
+    bucketNames = data.map(({ name }) => name);
+  }
+  const ageInput = await getInput(
+    "older-than",
+    "Only objects older than (e.g. 30m, 12h, 7d; blank for any age):"
+  );
+  const minAgeMs = ageInput ? parseAge(ageInput) : 0;
+  if (minAgeMs === undefined) {
+    logError(`Invalid age '${ageInput}'. Use e.g. 30m, 12h or 7d.`);
+    return;
+  }
+
+  logInfo(
+    `Scanning ${
+      bucketNames.length
+    } bucket(s) for objects under '${DEFAULT_UPLOAD_PATH_PREFIX}/'${
+      ageInput ? ` older than ${ageInput}` : ""
+    }...`
+  );
+  const now = Date.now();
+  const found = [];
+  for (const bucketName of bucketNames) {
+    try {
+      const files = await walkRemotePrefix(
+        bucketName,
+        DEFAULT_UPLOAD_PATH_PREFIX
+      );
+      const objects = [...files]
+        .map(([relPath, file]) => ({
+          ...file,
+          path: `${DEFAULT_UPLOAD_PATH_PREFIX}/${relPath}`,
+        }))
+        .filter(({ modified }) => !minAgeMs || now - modified >= minAgeMs);
+      if (objects.length) found.push({ bucketName, objects });
+    } catch (e) {
+      logError(`Failed to scan '${bucketName}': ${e.message}`);
+      logTip(getErrorHint(e, { operation: "list" }));
+    }
+  }
+
+  const total = found.reduce((sum, { objects }) => sum + objects.length, 0);
+  const totalBytes = found.reduce(
+    (sum, { objects }) => sum + objects.reduce((s, o) => s + o.size, 0),
+    0
+  );
+  if (!total) {
+    logSuccess("No debug artifacts found.");
+    return;
+  }
+  found.forEach(({ bucketName, objects }) => {
+    console.log(
+      `\n${COLORS.bright}${bucketName}${COLORS.reset} ${COLORS.dim}(${
+        objects.length
+      } objects, ${formatBytes(
+        objects.reduce((sum, { size }) => sum + size, 0)
+      )})${COLORS.reset}`
+    );
+    objects
+      .slice(0, CLEANUP_LIST_LIMIT)
+      .forEach(({ path, size, modified }) =>
+        console.log(
+          `  ${path} ${COLORS.dim}(${formatBytes(size)}, ${formatAge(
+            now - modified
+          )} old)${COLORS.reset}`
+        )
+      );
+    if (objects.length > CLEANUP_LIST_LIMIT)
+      console.log(
+        `  ${COLORS.dim}...and ${objects.length - CLEANUP_LIST_LIMIT} more${
+          COLORS.reset
+        }`
+      );
+  });
+  logInfo(
+    `\nFound ${total} objects (${formatBytes(totalBytes)}) in ${
+      found.length
+    } bucket(s).`
+  );
+  if (
+    !(await confirmDestructive(
+      `Permanently delete these ${total} objects? (y/N):`
+    ))
+  )
+    return;
+
+  let removedCount = 0;
+  let failedCount = 0;
+  for (const { bucketName, objects } of found) {
+    const { removed, failures } = await removeInBatches(
+      bucketName,
+      objects.map(({ path }) => path)
+    );
+    removedCount += removed.size;
+    failedCount += failures.length;
+    if (!failures.length) {
+      logSuccess(`Removed ${removed.size} objects from '${bucketName}'.`);
+      continue;
+    }
+    logError(
+      `${failures.length} of ${objects.length} objects in '${bucketName}' could not be removed:`
+    );
+    failures.forEach(({ path, error }) =>
+      console.log(`  ${path} ${COLORS.dim}(${error.message})${COLORS.reset}`)
+    );
+    logTip(getErrorHint(failures[0].error, { operation: "remove" }));
+  }
+  console.log(`\n${COLORS.bright}Cleanup summary:${COLORS.reset}`);
+  console.log(`  Removed: ${removedCount} objects`);
+  console.log(`  Failed: ${failedCount}`);
+  if (failedCount) logWarn(`Cleanup finished with ${failedCount} failures.`);
+  else logSuccess(`Cleanup complete. Freed ${formatBytes(totalBytes)}.`);
+}
+
+async function checkDownload() {
+  clearScreen();
+  log(COLORS.blue, "===", `DOWNLOAD TEST ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const filePath = await getInput("path", "Enter full file path in bucket:");
+  if (!filePath) {
+    logError("File path required.");
+    return;
+  }
+  const comparePath = await getInput(
+    "file",
+    "Local file to compare against (optional):"
+  );
+  if (comparePath && !fs.existsSync(comparePath)) {
+    logError(`File not found or path invalid: ${comparePath}`);
+    return;
+  }
+
+  logInfo(
+    `\n1. Attempting download via Supabase client: ${bucketName}/${filePath}`
+  );
+  const startTime = Date.now();
   try {
-    const { data, error } = await supabase.storage
+    const { data: blob, error } = await supabase.storage
+      .from(bucketName)
+      .download(filePath);
+    if (error) {
+      logError(`Download FAILED: ${error.message}`);
+      logTip(
+        getErrorHint(error, {
+          operation: "download",
+          path: `${bucketName}/${filePath}`,
+        })
+      );
+    } else {
+      const duration = Date.now() - startTime;
+      logSuccess(
+        `Download SUCCEEDED in ${duration}ms. Size: ${formatBytes(
+          blob.size
+        )}, Type: ${blob.type}`
+      );
+      const dlPath = path.join(
+        TEMP_DIR_PATH,
+        `download_${path.basename(filePath)}`
+      );
+      const buffer = Buffer.from(await blob.arrayBuffer());
+      fs.mkdirSync(TEMP_DIR_PATH, { recursive: true });
+      fs.writeFileSync(dlPath, buffer);
+      logInfo(`File saved locally to: ${dlPath} (for inspection)`);
+      const remoteHash = sha256(buffer);
+      logInfo(`SHA-256: ${remoteHash}`);
+      if (comparePath) {
+        const localHash = await hashFile(comparePath);
+        const localSize = fs.statSync(comparePath).size;
+        if (localHash === remoteHash)
+          logSuccess(`Matches local file ${comparePath} byte for byte.`);
+        else
+          logError(
+            `Does NOT match local file ${comparePath} (local: ${localSize} bytes, SHA-256 ${localHash}; downloaded: ${buffer.length} bytes).`
+          );
+      }
+    }
+  } catch (e) {
+    logError(`Critical download exception: ${e.message}`);
+  }
+
+  logInfo("\n2. Checking public URL accessibility (if any):");
+  const { data: urlData } = supabase.storage
+    .from(bucketName)
+    .getPublicUrl(filePath);
+  if (urlData?.publicUrl) {
+    logInfo(`Public URL: ${urlData.publicUrl}`);
+    const publicUrlCheck = await checkUrl(urlData.publicUrl);
+    if (publicUrlCheck.accessible)
+      logSuccess(
+        `Public URL accessible (Status: ${publicUrlCheck.statusCode}).`
+      );
+    else
+      logWarn(
+        `Public URL check (Status: ${publicUrlCheck.statusCode}, Error: ${
+          publicUrlCheck.error || "N/A"
+        }). RLS/CORS/private bucket?`
+      );
+  } else {
+    logWarn("Could not retrieve public URL for this file.");
+  }
+}
+
+async function getExpiryInput() {
+  const input = await getInput(
+    "expires",
+    `Enter expiry in seconds (default: ${DEFAULT_SIGNED_URL_EXPIRY}):`
+  );
+  const expiresIn = parseInt(input, 10);
+  return expiresIn > 0 ? expiresIn : DEFAULT_SIGNED_URL_EXPIRY;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function checkSignedUrl(name, signedUrl) {
+  return runCheck(name, async () => {
+    const { accessible, statusCode, error } = await checkUrl(signedUrl);
+    return accessible
+      ? {
+          status: "passed",
+          message: `Signed URL accessible (Status: ${statusCode}).`,
+        }
+      : {
+          status: "failed",
+          message: `Signed URL check returned Status ${statusCode}${
+            error ? ` (${error})` : ""
+          }.`,
+        };
+  });
+}
+
+async function comparePublicAccess(bucketName, filePath, signedWorks) {
+  const { data: urlData } = supabase.storage
+    .from(bucketName)
+    .getPublicUrl(filePath);
+  const { accessible, statusCode } = await checkUrl(urlData.publicUrl);
+  if (signedWorks && !accessible)
+    logSuccess(
+      `Signed access WORKS where the public URL fails (Status: ${statusCode}). Expected for a private bucket: serve this object through signed URLs.`
+    );
+  else if (signedWorks)
+    logInfo(
+      `Both signed and public URLs work (public Status: ${statusCode}). The bucket is public.`
+    );
+  else if (accessible)
+    logWarn(
+      `Public URL works (Status: ${statusCode}) but signed access FAILS. Check the select policy for this role.`
+    );
+  else
+    logError(
+      `Neither signed nor public access works (public Status: ${statusCode}).`
+    );
+}
+
+async function verifySignedUrlExpiry(entries, expiresIn) {
+  const waitSeconds = expiresIn + 5;
+  logInfo(`Waiting ${waitSeconds}s for signed URLs to expire...`);
+  await sleep(waitSeconds * 1000);
+  for (const { path: filePath, signedUrl } of entries) {
+    await runCheck(`Expired signed URL: ${filePath}`, async () => {
+      const { accessible, statusCode } = await checkUrl(signedUrl);
+      return accessible
+        ? {
+            status: "failed",
+            message: `Signed URL for '${filePath}' STILL works after expiry (Status: ${statusCode}).`,
+            hint: "Check for a CDN caching signed responses beyond their expiry.",
+          }
+        : {
+            status: "passed",
+            message: `Signed URL for '${filePath}' rejected after expiry (Status: ${statusCode}).`,
+          };
+    });
+  }
+}
+
+async function checkSignedUrls() {
+  clearScreen();
+  log(COLORS.blue, "===", `SIGNED DOWNLOAD URL TEST ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const pathInput = await getInput(
+    "path",
+    "Enter file path(s) in bucket (comma-separated for several):"
+  );
+  const filePaths = pathInput
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (!filePaths.length) {
+    logError("File path required.");
+    return;
+  }
+  const expiresIn = await getExpiryInput();
+  const bucket = supabase.storage.from(bucketName);
+
+  logInfo(`\n1. Creating signed URL(s) valid for ${expiresIn}s:`);
+  const { data, error } =
+    filePaths.length === 1
+      ? await bucket
+          .createSignedUrl(filePaths[0], expiresIn)
+          .then(({ data, error }) => ({
+            data: data && [{ path: filePaths[0], ...data }],
+            error,
+          }))
+      : await bucket.createSignedUrls(filePaths, expiresIn);
+  if (error) {
+    logError(`Creating signed URL FAILED: ${error.message}`);
+    logTip(getErrorHint(error, { operation: "sign" }));
+    return;
+  }
+
+  const entries = [];
+  for (const entry of data) {
+    if (entry.error || !entry.signedUrl) {
+      logError(
+        `Signed URL for '${entry.path}' FAILED: ${entry.error || "No URL"}`
+      );
+      continue;
+    }
+    logInfo(`Signed URL for '${entry.path}': ${entry.signedUrl}`);
+    entries.push(entry);
+  }
+
+  logInfo("\n2. Checking signed vs public access:");
+  for (const entry of entries) {
+    const { status } = await checkSignedUrl(
+      `Signed URL: ${entry.path}`,
+      entry.signedUrl
+    );
+    await comparePublicAccess(bucketName, entry.path, status === "passed");
+  }
+
+  if (
+    entries.length &&
+    (await confirmInput(
+      "wait-expiry",
+      `Wait ${expiresIn}s to confirm the URLs stop working? (y/N):`
+    ))
+  ) {
+    logInfo("\n3. Expiry check:");
+    await verifySignedUrlExpiry(entries, expiresIn);
+  }
+}
+
+async function checkSignedUpload() {
+  clearScreen();
+  log(COLORS.blue, "===", `SIGNED UPLOAD URL TEST ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const defaultPath = `${DEFAULT_UPLOAD_PATH_PREFIX}/signed-upload/${Date.now()}-${TEST_TEXT_FILENAME}`;
+  const customPath = await getInput(
+    "path",
+    `Enter storage path (default: ${defaultPath}):`
+  );
+  const storagePath = customPath || defaultPath;
+  const expiresIn = await getExpiryInput();
+  const bucket = supabase.storage.from(bucketName);
+  if (await refuseExistingPath(bucketName, storagePath)) return;
+
+  logInfo("\n1. Creating signed upload URL:");
+  const { data: uploadUrl, error: createError } =
+    await bucket.createSignedUploadUrl(storagePath);
+  if (createError) {
+    logError(`Creating signed upload URL FAILED: ${createError.message}`);
+    logTip(getErrorHint(createError, { operation: "signed-upload" }));
+    return;
+  }
+  logSuccess(`Signed upload URL: ${uploadUrl.signedUrl}`);
+  logInfo(
+    "Signed upload URLs are valid for 2 hours; their expiry is not configurable."
+  );
+
+  logInfo("\n2. Uploading through the signed upload URL:");
+  const content = `Supabase Storage Debug Tool: signed upload at ${new Date().toISOString()}`;
+  const upload = await runCheck("Upload to signed URL", async () => {
+    const { error } = await bucket.uploadToSignedUrl(
+      uploadUrl.path,
+      uploadUrl.token,
+      Buffer.from(content),
+      { contentType: "text/plain" }
+    );
+    return error
+      ? {
+          status: "failed",
+          message: `Signed upload FAILED: ${error.message}`,
+          error,
+        }
+      : { status: "passed", message: `Signed upload SUCCEEDED.` };
+  });
+  if (upload.status !== "passed") return;
+
+  try {
+    logInfo(`\n3. Reading back through a signed URL valid for ${expiresIn}s:`);
+    const { data: signed, error: signError } = await bucket.createSignedUrl(
+      storagePath,
+      expiresIn
+    );
+    if (signError) {
+      logError(`Creating signed URL FAILED: ${signError.message}`);
+      logTip(getErrorHint(signError, { operation: "sign" }));
+      return;
+    }
+    const { status } = await checkSignedUrl(
+      `Signed URL: ${storagePath}`,
+      signed.signedUrl
+    );
+    await comparePublicAccess(bucketName, storagePath, status === "passed");
+
+    if (
+      await confirmInput(
+        "wait-expiry",
+        `Wait ${expiresIn}s to confirm the URL stops working? (y/N):`
+      )
+    ) {
+      logInfo("\n4. Expiry check:");
+      await verifySignedUrlExpiry(
+        [{ path: storagePath, signedUrl: signed.signedUrl }],
+        expiresIn
+      );
+    }
+  } finally {
+    await removeTestObject(bucketName, storagePath, !customPath);
+  }
+}
+
+async function readStoredMetadata(bucketName, objectPath) {
+  const bucket = supabase.storage.from(bucketName);
+  const { data, error } = await bucket.info(objectPath);
+  if (!error)
+    return {
+      source: "info()",
+      size: data.size,
+      mimetype: data.contentType,
+      etag: data.etag,
+      cacheControl: data.cacheControl,
+      lastModified: data.lastModified,
+    };
+  // Older storage versions have no info endpoint; list metadata has the same fields.
+  const folder = path.posix.dirname(objectPath);
+  const name = path.posix.basename(objectPath);
+  const { data: items } = await bucket.list(folder === "." ? "" : folder, {
+    search: name,
+  });
+  const metadata = items?.find((item) => item.name === name)?.metadata;
+  if (!metadata) return { error };
+  return {
+    source: "list()",
+    size: metadata.size,
+    mimetype: metadata.mimetype,
+    etag: metadata.eTag,
+    cacheControl: metadata.cacheControl,
+    lastModified: metadata.lastModified,
+  };
+}
+
+const normalizeEtag = (etag) =>
+  String(etag || "")
+    .replace(/^W\//, "")
+    .replace(/"/g, "");
+
+const normalizeCacheControl = (value) =>
+  String(value || "")
+    .replace(/\s+/g, "")
+    .toLowerCase();
+
+function compareServedHeaders(stored, headers, bodySize) {
+  const storedCacheControl = /^\d+$/.test(stored.cacheControl || "")
+    ? `max-age=${stored.cacheControl}`
+    : stored.cacheControl;
+  return [
+    {
+      field: "Content-Type",
+      stored: stored.mimetype,
+      served: headers["content-type"],
+      matches:
+        baseContentType(stored.mimetype) ===
+        baseContentType(headers["content-type"]),
+      hint: "The object is served with a different type than it was stored with. Re-upload with the right contentType, or look for a proxy/CDN rule rewriting it.",
+    },
+    {
+      field: "ETag",
+      stored: stored.etag,
+      served: headers.etag,
+      matches: normalizeEtag(stored.etag) === normalizeEtag(headers.etag),
+      hint: "A cache is serving an older copy. Check the Age and cache-status headers, then purge the CDN or upload to a new path to bust the cache.",
+    },
+    {
+      field: "Cache-Control",
+      stored: storedCacheControl,
+      served: headers["cache-control"],
+      matches: normalizeCacheControl(headers["cache-control"]).includes(
+        normalizeCacheControl(storedCacheControl)
+      ),
+      hint: "Set cacheControl when uploading (e.g. upload(path, file, { cacheControl: '3600' })); a proxy in front of storage may also be overriding it.",
+    },
+    {
+      field: "Size",
+      stored: stored.size,
+      served: bodySize,
+      matches: Number(stored.size) === bodySize,
+      hint: "The served body has a different length: either a stale cached copy or a proxy re-encoding the content.",
+    },
+    {
+      field: "Last-Modified",
+      stored: stored.lastModified,
+      served: headers["last-modified"],
+      // HTTP dates drop the milliseconds.
+      matches:
+        Math.abs(
+          Date.parse(stored.lastModified) - Date.parse(headers["last-modified"])
+        ) < 1000,
+      hint: "The served copy predates the stored object, which points at a stale cache.",
+    },
+  ].filter(({ stored: value }) => value !== undefined && value !== null);
+}
+
+function printServedHeaders(headers) {
+  [
+    "content-type",
+    "content-length",
+    "cache-control",
+    "etag",
+    "last-modified",
+    "age",
+    ...CDN_CACHE_HEADERS,
+  ]
+    .filter((name) => headers[name] !== undefined)
+    .forEach((name) =>
+      console.log(`     ${COLORS.dim}${name}: ${headers[name]}${COLORS.reset}`)
+    );
+}
+
+async function checkConditionalRequest(url, etag) {
+  await runCheck("If-None-Match (current ETag)", async () => {
+    const { statusCode, bodySize } = await sendHttpRequest(url, "GET", {
+      "If-None-Match": etag,
+    });
+    if (statusCode === 304)
+      return {
+        status: "passed",
+        message:
+          "If-None-Match with the current ETag returns 304 Not Modified.",
+      };
+    return {
+      status: "warning",
+      message: `If-None-Match with the current ETag returned ${statusCode} (${formatBytes(
+        bodySize || 0
+      )} re-sent).`,
+      hint: "Conditional requests are not honoured, so browsers re-download the object on every revalidation.",
+    };
+  });
+  await runCheck("If-None-Match (stale ETag)", async () => {
+    const { statusCode } = await sendHttpRequest(
+      url,
+      "GET",
+      { "If-None-Match": '"supabase-debug-stale-etag"' },
+      { headersOnly: true }
+    );
+    return statusCode === 304
+      ? {
+          status: "failed",
+          message: "If-None-Match with a stale ETag also returns 304.",
+          hint: "Clients holding an old copy are told it is still fresh. Check caching rules in front of storage.",
+        }
+      : {
+          status: "passed",
+          message: `If-None-Match with a stale ETag returns ${statusCode} with the full body.`,
+        };
+  });
+}
+
+async function inspectObjectHeaders() {
+  clearScreen();
+  log(COLORS.blue, "===", `METADATA & CACHE HEADER INSPECTOR ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  const objectPath = await getInput("path", "Enter object path:");
+  if (!bucketName || !objectPath) {
+    logError("Bucket name and object path required.");
+    return;
+  }
+  let urlType = (
+    await getInput(
+      "url-type",
+      "Fetch through which URL? (public/signed, blank to pick from the bucket setting):"
+    )
+  ).toLowerCase();
+  if (urlType && !INSPECT_URL_TYPES.includes(urlType)) {
+    logError(`URL type must be one of: ${INSPECT_URL_TYPES.join(", ")}.`);
+    return;
+  }
+  beginReport("Metadata & Cache Headers");
+  const bucket = supabase.storage.from(bucketName);
+
+  logInfo("\n1. Stored metadata:");
+  const { stored } = await runCheck("Stored metadata", async () => {
+    const metadata = await readStoredMetadata(bucketName, objectPath);
+    if (metadata.error)
+      return {
+        status: "failed",
+        message: `Could not read metadata: ${metadata.error.message}`,
+        hint: getErrorHint(metadata.error, {
+          operation: "download",
+          path: objectPath,
+        }),
+      };
+    [
+      ["Size", `${formatBytes(metadata.size)} (${metadata.size} bytes)`],
+      ["Mimetype", metadata.mimetype],
+      ["ETag", metadata.etag],
+      ["Cache-Control", metadata.cacheControl],
+      ["Last modified", metadata.lastModified],
+    ].forEach(([label, value]) =>
+      console.log(
+        `     ${COLORS.dim}${label}: ${value ?? "(not set)"}${COLORS.reset}`
+      )
+    );
+    return {
+      status: "passed",
+      message: `Metadata read via ${metadata.source}.`,
+      stored: metadata,
+    };
+  });
+
+  if (!urlType) {
+    const { data } = await supabase.storage.getBucket(bucketName);
+    urlType = data && !data.public ? "signed" : "public";
+  }
+  let url;
+  if (urlType === "signed") {
+    const { data, error } = await bucket.createSignedUrl(
+      objectPath,
+      DEFAULT_SIGNED_URL_EXPIRY
+    );
+    if (error) {
+      await runCheck("Signed URL", async () => ({
+        status: "failed",
+        message: `Could not create a signed URL: ${error.message}`,
+        error,
+      }));
+      await saveReport();
+      return;
+    }
+    url = data.signedUrl;
+  } else {
+    url = bucket.getPublicUrl(objectPath).data.publicUrl;
+  }
+
+  logInfo(`\n2. Served headers (${urlType} URL):`);
+  logInfo(`URL: ${redactUrl(url)}`);
+  let served;
+  for (const method of ["HEAD", "GET"]) {
+    await runCheck(
+      `${method} ${urlType} URL`,
+      async () => {
+        const response = await sendHttpRequest(url, method);
+        if (method === "GET") served = response;
+        if (response.error || response.statusCode >= 400)
+          return {
+            status: "failed",
+            message: `${method} returned ${
+              response.error || `Status ${response.statusCode}`
+            }.`,
+            hint:
+              urlType === "public"
+                ? "Public URLs only work for public buckets. Retry with --url-type signed."
+                : undefined,
+          };
+        printServedHeaders(response.headers);
+        return {
+          status: "passed",
+          message: `${method} returned ${response.statusCode}.`,
+        };
+      },
+      "  "
+    );
+  }
+
+  if (served && !served.error && served.statusCode < 400) {
+    if (stored) {
+      logInfo("\n3. Stored vs served:");
+      for (const comparison of compareServedHeaders(
+        stored,
+        served.headers,
+        served.bodySize
+      ))
+        await runCheck(
+          `${comparison.field} matches`,
+          async () =>
+            comparison.matches
+              ? {
+                  status: "passed",
+                  message: `${comparison.field}: ${comparison.served}`,
+                }
+              : {
+                  status: "failed",
+                  message: `${comparison.field} differs: stored ${
+                    comparison.stored
+                  }, served ${comparison.served ?? "(missing)"}`,
+                  hint: comparison.hint,
+                },
+          "  "
+        );
+    }
+
+    logInfo("\n4. Conditional requests:");
+    if (served.headers.etag)
+      await checkConditionalRequest(url, served.headers.etag);
+    else
+      await runCheck("If-None-Match", async () => ({
+        status: "skipped",
+        message: "No ETag served, so conditional requests cannot be tested.",
+      }));
+  }
+
+  await saveReport();
+}
+
+async function fullDiagnostics() {
+  clearScreen();
+  log(COLORS.blue, "===", `ADVANCED DIAGNOSTICS ===\n`);
+  beginReport("Full Diagnostics");
+
+  log(COLORS.bright, "1.", `Environment & Client Status`);
+  const supUrl = process.env[ENV_SUPABASE_URL];
+  const hasServKey = !!process.env[ENV_SERVICE_KEY];
+  const hasAnonKey = !!process.env[ENV_ANON_KEY];
+  console.log(
+    `   ${ENV_SUPABASE_URL}: ${
+      supUrl
+        ? `${COLORS.green}SET (${supUrl})${COLORS.reset}`
+        : `${COLORS.red}NOT SET${COLORS.reset}`
+    }`
+  );
+  console.log(
+    `   ${ENV_SERVICE_KEY}: ${
+      hasServKey
+        ? `${COLORS.green}SET${COLORS.reset}`
+        : `${COLORS.yellow}NOT SET${COLORS.reset}`
+    }`
+  );
+  console.log(
+    `   ${ENV_ANON_KEY}: ${
+      hasAnonKey
+        ? `${COLORS.green}SET${COLORS.reset}`
+        : `${COLORS.yellow}NOT SET${COLORS.reset}`
+    }`
+  );
+  await runCheck(
+    "Environment",
+    async () => {
+      if (!supUrl || !(hasServKey || hasAnonKey))
+        return { status: "failed", message: "Using Key: NONE (Critical!)" };
+      if (!hasServKey)
+        return { status: "warning", message: "Using Key: Anon Key (Limited)" };
+      return { status: "passed", message: "Using Key: Service Role (Optimal)" };
+    },
+    "   "
+  );
+  await runCheck(
+    "Supabase client",
+    async () =>
+      supabase
+        ? { status: "passed", message: "Supabase client: Initialized." }
+        : { status: "failed", message: "Supabase client: NOT Initialized." },
+    "   "
+  );
+
+  log(COLORS.bright, "\n2.", `Bucket Overview & Basic Permissions`);
+  let buckets = [];
+  await runCheck(
+    "List buckets",
+    async () => {
+      const { data, error } = await supabase.storage.listBuckets();
+      if (error)
+        return {
+          status: "failed",
+          message: `Bucket listing failed: ${error.message}`,
+          error,
+        };
+      buckets = data;
+      if (!buckets.length)
+        return { status: "warning", message: "No buckets found." };
+      return {
+        status: "passed",
+        message: `Found ${buckets.length} buckets. Testing basic ops:`,
+      };
+    },
+    "   "
+  );
+  for (const bucket of buckets) {
+    console.log(
+      `   - Bucket: ${COLORS.bright}${bucket.name}${COLORS.reset} (Public: ${
+        bucket.public ? "Yes" : "No"
+      })`
+    );
+    await runCheck(
+      `List files in '${bucket.name}'`,
+      async () => {
+        const { data: files, error } = await supabase.storage
+          .from(bucket.name)
+          .list("", { limit: 1 });
+        if (error)
+          return {
+            status: "warning",
+            message: `List files in '${bucket.name}': FAILED (${error.message})`,
+            error,
+          };
+        return {
+          status: "passed",
+          message: `List files in '${bucket.name}': OK (${files.length} items at root)`,
+        };
+      },
+      "     "
+    );
+  }
+
+  log(
+    COLORS.bright,
+    "\n3.",
+    `Storage Upload/Download Permission Test (using first available bucket)`
+  );
+  const targetBucket = buckets[0]?.name;
+  const testPath = `${DEFAULT_UPLOAD_PATH_PREFIX}/diagnostics-rw-test.txt`;
+
+  if (targetBucket) {
+    logInfo(`   Using bucket '${targetBucket}' for R/W test.`);
+    let expected;
+    const upload = await runCheck(
+      "Upload test file",
+      async () => {
+        const testFile = await prepareTestFile("text");
+        if (!testFile)
+          return {
+            status: "failed",
+            message: "Could not prepare test file for R/W diagnostics.",
+          };
+        expected = {
+          sha256: await hashFile(testFile.filePath),
+          size: testFile.fileSize,
+          contentType: testFile.contentType,
+        };
+        const { error } = await coreUploadProcessor(
+          targetBucket,
+          testPath,
+          { path: testFile.filePath },
+          testFile.contentType,
+          testFile.fileSize,
+          // runCheck reports the failure, with its hint, exactly once.
+          { logFailure: false }
+        );
+        try {
+          fs.unlinkSync(testFile.filePath);
+        } catch {}
+        if (error)
+          return {
+            status: "failed",
+            message: `Upload portion of R/W test failed for bucket '${targetBucket}': ${error.message}`,
+            error,
+            hint: getErrorHint(error, {
+              operation: "upload",
+              path: `${targetBucket}/${testPath}`,
+            }),
+          };
+        return { status: "passed", message: "Upload test: OK" };
+      },
+      "   "
+    );
+
+    if (upload.status === "passed") {
+      logInfo(
+        `   Attempting to download test file: ${targetBucket}/${testPath}`
+      );
+      await verifyRoundTrip(targetBucket, testPath, expected, "     ");
+
+      logInfo(`   Attempting to delete test file: ${targetBucket}/${testPath}`);
+      await runCheck(
+        "Delete test file",
+        async () => {
+          const { error } = await supabase.storage
+            .from(targetBucket)
+            .remove([testPath]);
+          if (error)
+            return {
+              status: "warning",
+              message: `Delete test: FAILED (${error.message}). Manual cleanup may be needed.`,
+              error,
+            };
+          return { status: "passed", message: "Delete test: OK" };
+        },
+        "     "
+      );
+    }
+  } else {
+    await runCheck(
+      "Read/write permissions",
+      async () => ({
+        status: "skipped",
+        message: "No buckets available to perform R/W permission test.",
+      }),
+      "   "
+    );
+  }
+
+  log(COLORS.bright, "\n4.", `CORS/Public URL Check`);
+  await runCheck(
+    "Public URL endpoint",
+    async () => {
+      if (!supUrl)
+        return {
+          status: "skipped",
+          message:
+            "Supabase URL not set, cannot perform full CORS/Public URL check.",
+        };
+      const storagePublicTestUrl = `${supUrl}/storage/v1/object/public/${
+        targetBucket || "test-bucket"
+      }/nonexistent-test-file.txt`;
+      logInfo(`   Pinging sample public URL: ${storagePublicTestUrl}`);
+      const { statusCode, error: urlErr } = await checkUrl(
+        storagePublicTestUrl
+      );
+      const hint =
+        "Ensure your Supabase project's CORS settings (Dashboard > Project Settings > API > Storage) include your origin or '*' for testing.";
+      if (statusCode === 404) {
+        // 404 is expected for a non-existent file if endpoint is reachable
+        return {
+          status: "passed",
+          message:
+            "Public URL endpoint seems responsive (expected 404 for test file).",
+        };
+      }
+      if (statusCode > 0)
+        return {
+          status: "warning",
+          message: `Public URL endpoint check returned status ${statusCode}. Might indicate CORS/config issues.`,
+          hint,
+        };
+      return {
+        status: "failed",
+        message: `Public URL endpoint check FAILED (Error: ${
+          urlErr || "Unknown"
+        }). Likely CORS or network issue.`,
+        hint,
+      };
+    },
+    "   "
+  );
+  logTip(`   ${CORS_TIP}`);
+
+  await saveReport();
+}
+
+async function downloadHash(bucketName, objectPath) {
+  const { data: blob, error } = await supabase.storage
+    .from(bucketName)
+    .download(objectPath);
+  if (error) return { error };
+  return { sha256: sha256(Buffer.from(await blob.arrayBuffer())) };
+}
+
+// The catalog cannot tell which side of a copy/move was denied, so name it.
+function explainMoveCopyFailure(operation, step, error) {
+  const { status, message } = errorDetails(error);
+  const source = `${step.fromBucket}/${step.from}`;
+  const destination = `${step.toBucket}/${step.to}`;
+  if (status === 404 || /not found/i.test(message))
+    return {
+      path: source,
+      explanation: `'${source}' is not visible to this identity: the SELECT policy probably does not cover it.`,
+    };
+  if (status === 409 || /already exists/i.test(message))
+    return {
+      path: destination,
+      explanation: `'${destination}' already exists; ${operation} does not overwrite.`,
+    };
+  if ([401, 403].includes(status) || /row-level security/i.test(message))
+    return operation === "copy"
+      ? {
+          path: destination,
+          explanation: `The source was readable, so the INSERT policy for '${destination}' is the likely gap.`,
+        }
+      : {
+          path: source,
+          explanation: `Check the UPDATE and DELETE policies for '${source}' and the INSERT policy for '${destination}'.`,
+        };
+  return { path: source };
+}
+
+async function runMoveCopyStep(step, sourceHash) {
+  const { operation, fromBucket, from, toBucket, to } = step;
+  const { error } = await supabase.storage
+    .from(fromBucket)
+    [operation](from, to, { destinationBucket: toBucket });
+  if (error) {
+    const { path: deniedPath, explanation } = explainMoveCopyFailure(
+      operation,
+      step,
+      error
+    );
+    return {
+      status: "failed",
+      message: `${operation} FAILED: ${error.message}`,
+      error,
+      hint: [explanation, getErrorHint(error, { operation, path: deniedPath })]
+        .filter(Boolean)
+        .join("\n"),
+    };
+  }
+
+  const destination = await downloadHash(toBucket, to);
+  if (destination.error)
+    return {
+      status: "failed",
+      message: `${operation} reported success, but the destination cannot be read: ${destination.error.message}`,
+      error: destination.error,
+      hint: `The SELECT policy probably does not cover '${toBucket}/${to}'.`,
+    };
+  if (destination.sha256 !== sourceHash)
+    return {
+      status: "failed",
+      message: `${operation} destination content differs from the source (SHA-256 ${destination.sha256}).`,
+    };
+
+  const { data: sourceExists } = await supabase.storage
+    .from(fromBucket)
+    .exists(from);
+  if (operation === "copy" && !sourceExists)
+    return {
+      status: "failed",
+      message: "copy succeeded, but the source is gone.",
+    };
+  if (operation === "move" && sourceExists)
+    return {
+      status: "failed",
+      message: "move succeeded, but the source still exists.",
+      hint: "The object was copied rather than moved. Check the DELETE policy on the source.",
+    };
+  return {
+    status: "passed",
+    message: `${operation} OK: destination matches the source${
+      operation === "move" ? " and the source is gone" : ""
+    }.`,
+  };
+}
+
+async function checkMoveCopy() {
+  clearScreen();
+  log(COLORS.blue, "===", `MOVE / COPY / RENAME TEST ===\n`);
+  const bucketName = await getInput("bucket", "Enter source bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const destinationBucket =
+    (await getInput(
+      "to-bucket",
+      "Destination bucket for cross-bucket tests (blank skips them):"
+    )) || bucketName;
+  let sourcePath = await getInput(
+    "path",
+    "Source object path (blank uploads a generated test file):"
+  );
+  const folder = (
+    (await getInput(
+      "to",
+      `Destination folder (default: ${DEFAULT_UPLOAD_PATH_PREFIX}/move-copy):`
+    )) || `${DEFAULT_UPLOAD_PATH_PREFIX}/move-copy`
+  ).replace(/^\/+|\/+$/g, "");
+
+  beginReport("Move & Copy Test");
+  const generated = !sourcePath;
+  if (generated) {
+    sourcePath = `${DEFAULT_UPLOAD_PATH_PREFIX}/move-copy/source-${Date.now()}.txt`;
+    const { error } = await supabase.storage
       .from(bucketName)
-      .list(prefix || "", {
-        limit: 100, // Example: add options if needed
-        offset: 0,
-        // sortBy: { column: 'name', order: 'asc' }, // Example
-      });
+      .upload(
+        sourcePath,
+        Buffer.from(
+          `Supabase Storage Debug Tool: move/copy probe at ${new Date().toISOString()}`
+        ),
+        { contentType: "text/plain" }
+      );
     if (error) {
-      logError(`Failed to list files: ${error.message}`);
-      logTip(getErrorHint(error));
-      return;
-    }
-    if (!data.length) {
-      logWarn("No files or folders found at this location.");
+      logError(`Uploading the test source FAILED: ${error.message}`);
+      logTip(getErrorHint(error, { operation: "upload" }));
       return;
     }
-    logSuccess(`Found ${data.length} items:\n`);
-    data.forEach((item) => {
-      const isDir = !item.id;
-      const itemName = `${isDir ? "📁" : "📄"} ${item.name}`;
-      const itemMeta = isDir
-        ? "(Directory)"
-        : `(${formatBytes(item.metadata?.size || 0)}, MIME: ${
-            item.metadata?.mimetype || "N/A"
-          })`;
-      console.log(`${itemName} ${COLORS.dim}${itemMeta}${COLORS.reset}`);
-      if (!isDir) {
-        const { data: urlData } = supabase.storage
-          .from(bucketName)
-          .getPublicUrl((prefix ? prefix + "/" : "") + item.name);
-        if (urlData?.publicUrl)
-          console.log(
-            `   ${COLORS.cyan}URL: ${urlData.publicUrl}${COLORS.reset}`
-          );
+  }
+  const source = await downloadHash(bucketName, sourcePath);
+  if (source.error) {
+    logError(
+      `Cannot read source '${bucketName}/${sourcePath}': ${source.error.message}`
+    );
+    logTip(
+      getErrorHint(source.error, {
+        operation: "download",
+        path: `${bucketName}/${sourcePath}`,
+      })
+    );
+    return;
+  }
+  logInfo(`Source: ${bucketName}/${sourcePath} (SHA-256 ${source.sha256})`);
+
+  // The user's source object is only ever copied. Moves act on copies, so
+  // nothing outside the destination folder is changed.
+  const stamp = Date.now();
+  const ext = path.posix.extname(sourcePath);
+  const target = (name) => `${folder}/${name}-${stamp}${ext}`;
+  const steps = [
+    {
+      name: "Copy within bucket",
+      operation: "copy",
+      fromBucket: bucketName,
+      from: sourcePath,
+      toBucket: bucketName,
+      to: target("copy"),
+    },
+    {
+      name: "Rename (move within bucket)",
+      operation: "move",
+      fromBucket: bucketName,
+      from: target("copy"),
+      toBucket: bucketName,
+      to: target("renamed"),
+    },
+  ];
+  if (destinationBucket !== bucketName)
+    steps.push(
+      {
+        name: "Copy to another bucket",
+        operation: "copy",
+        fromBucket: bucketName,
+        from: sourcePath,
+        toBucket: destinationBucket,
+        to: target("cross-copy"),
+      },
+      {
+        name: "Move to another bucket",
+        operation: "move",
+        fromBucket: bucketName,
+        from: target("renamed"),
+        toBucket: destinationBucket,
+        to: target("cross-moved"),
       }
+    );
+
+  const failed = new Set();
+  for (const step of steps) {
+    const label = `${step.fromBucket}/${step.from} -> ${step.toBucket}/${step.to}`;
+    logInfo(`\n${step.name}: ${label}`);
+    await runCheck(step.name, async () => {
+      // Each move acts on the result of an earlier step.
+      if (failed.has(step.from)) {
+        failed.add(step.to);
+        return {
+          status: "skipped",
+          message: `Skipped: '${step.from}' was not created by an earlier step.`,
+        };
+      }
+      const result = await runMoveCopyStep(step, source.sha256);
+      if (result.status !== "passed") failed.add(step.to);
+      return result;
+    });
+  }
+
+  logInfo("\nCleaning up test objects...");
+  const cleanup = [
+    ...(generated ? [{ bucket: bucketName, path: sourcePath }] : []),
+    ...steps.map(({ toBucket, to }) => ({ bucket: toBucket, path: to })),
+  ];
+  for (const bucket of new Set(cleanup.map((item) => item.bucket))) {
+    const paths = cleanup
+      .filter((item) => item.bucket === bucket)
+      .map((item) => item.path);
+    // Paths that were never created are simply not returned as removed.
+    const { error } = await supabase.storage.from(bucket).remove(paths);
+    if (error) logWarn(`Cleanup in '${bucket}' failed: ${error.message}`);
+  }
+  await saveReport();
+}
+
+function pathEdgeCases(prefix) {
+  const maxKeyFill = MAX_OBJECT_KEY_BYTES - Buffer.byteLength(`${prefix}/.txt`);
+  return [
+    { name: "Plain ASCII", key: `${prefix}/plain.txt` },
+    { name: "Spaces", key: `${prefix}/with spaces.txt` },
+    { name: "Plus sign", key: `${prefix}/a+b.txt` },
+    { name: "Hash", key: `${prefix}/tag#1.txt` },
+    { name: "Percent", key: `${prefix}/100%.txt` },
+    { name: "Pre-encoded", key: `${prefix}/already%20encoded.txt` },
+    { name: "Question mark", key: `${prefix}/what?.txt` },
+    { name: "Ampersand/equals", key: `${prefix}/a&b=c.txt` },
+    { name: "Brackets/quotes", key: `${prefix}/[draft] (v2) 'final'.txt` },
+    { name: "Backslash", key: `${prefix}/back\\slash.txt` },
+    { name: "Unicode NFC", key: `${prefix}/café.txt` },
+    { name: "Unicode NFD", key: `${prefix}/café.txt` },
+    { name: "CJK", key: `${prefix}/日本語.txt` },
+    { name: "Emoji", key: `${prefix}/😀 smile.txt` },
+    { name: "Nested depth", key: `${prefix}/a/b/c/d/e/f/g/h/i/j/deep.txt` },
+    { name: "Leading slash", key: `/${prefix}/leading.txt` },
+    { name: "Double slash", key: `${prefix}/double//slash.txt` },
+    { name: "Dot segments", key: `${prefix}/dots/../dots.txt` },
+    { name: "255-char filename", key: `${prefix}/${"n".repeat(251)}.txt` },
+    {
+      name: `${MAX_OBJECT_KEY_BYTES}-byte key`,
+      key: `${prefix}/${"k".repeat(maxKeyFill)}.txt`,
+    },
+  ];
+}
+
+async function runPathEdgeCase(bucketName, { key }, urlType) {
+  const bucket = supabase.storage.from(bucketName);
+  // storage-js strips leading slashes, so that is the key an app expects back.
+  const expectedKey = key.replace(/^\/+/, "");
+  const payload = Buffer.from(`Path edge case: ${key}`);
+  const steps = {};
+  const fail = (step, message) => (steps[step] = { ok: false, message });
+
+  const { data: uploaded, error: uploadError } = await bucket.upload(
+    key,
+    payload,
+    { contentType: MIME_TYPES_MAP[".txt"], upsert: true }
+  );
+  if (uploadError) {
+    fail("upload", uploadError.message);
+    return { steps };
+  }
+  const storedKey =
+    uploaded.fullPath?.replace(`${bucketName}/`, "") ?? uploaded.path;
+  if (storedKey !== expectedKey) fail("upload", `stored as '${storedKey}'`);
+  else steps.upload = { ok: true };
+
+  // The object exists from here on: keep storedKey so it is cleaned up even
+  // if a later step throws.
+  let step;
+  try {
+    const folder = path.posix.dirname(expectedKey);
+    const name = path.posix.basename(expectedKey);
+    step = "list";
+    const { data: items, error: listError } = await bucket.list(folder, {
+      limit: 1000,
     });
+    const listedNames = (items || []).map((item) => item.name);
+    if (listError) fail("list", listError.message);
+    else if (listedNames.includes(name)) steps.list = { ok: true };
+    else if (listedNames.some((n) => n.normalize() === name.normalize()))
+      fail("list", "listed under a different Unicode normalization");
+    else fail("list", `not listed in '${folder}'`);
+
+    step = "download";
+    const { data: blob, error: downloadError } = await bucket.download(key);
+    if (downloadError) fail("download", downloadError.message);
+    else if (!Buffer.from(await blob.arrayBuffer()).equals(payload))
+      fail("download", "content differs (a different object was served)");
+    else steps.download = { ok: true };
+
+    step = "url";
+    let url;
+    if (urlType === "public") url = bucket.getPublicUrl(key).data.publicUrl;
+    else {
+      const { data, error } = await bucket.createSignedUrl(
+        key,
+        DEFAULT_SIGNED_URL_EXPIRY
+      );
+      if (error) fail("url", error.message);
+      url = data?.signedUrl;
+    }
+    if (url) {
+      const { statusCode, bodySize, error } = await sendHttpRequest(url);
+      if (error || statusCode !== 200)
+        fail("url", error || `Status ${statusCode}`);
+      else if (bodySize !== payload.length)
+        fail("url", `served ${bodySize} bytes, expected ${payload.length}`);
+      else steps.url = { ok: true };
+    }
   } catch (e) {
-    logError(`Unexpected error listing files: ${e.message}`);
+    fail(step, e.message);
   }
+  return { steps, storedKey };
 }
 
-async function checkDownload() {
-  console.clear();
-  log(COLORS.blue, "===", `DOWNLOAD TEST ===\n`);
-  const bucketName = await ask("Enter bucket name:");
+function printPathEdgeTable(results, urlType) {
+  const cell = (step) =>
+    !step
+      ? `${COLORS.dim}${"–".padEnd(10)}${COLORS.reset}`
+      : step.ok
+      ? `${COLORS.green}${"PASS".padEnd(10)}${COLORS.reset}`
+      : `${COLORS.red}${"FAIL".padEnd(10)}${COLORS.reset}`;
+  console.log(
+    `\n${COLORS.bright}${[
+      "Case".padEnd(20),
+      "Upload".padEnd(10),
+      "List".padEnd(10),
+      "Download".padEnd(10),
+      `${urlType === "public" ? "Public" : "Signed"} URL`.padEnd(12),
+    ].join("")}${COLORS.reset}`
+  );
+  results.forEach(({ name, steps }) =>
+    console.log(
+      [
+        name.padEnd(20),
+        cell(steps.upload),
+        cell(steps.list),
+        cell(steps.download),
+        cell(steps.url),
+      ].join("")
+    )
+  );
+}
+
+async function checkPathEdgeCases() {
+  clearScreen();
+  log(COLORS.blue, "===", `PATH & FILENAME EDGE CASES ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
   if (!bucketName) {
     logError("Bucket name required.");
     return;
   }
-  const filePath = await ask("Enter full file path in bucket:");
-  if (!filePath) {
-    logError("File path required.");
+  const { data: settings } = await supabase.storage.getBucket(bucketName);
+  const urlType = settings && !settings.public ? "signed" : "public";
+  const runPrefix = `${DEFAULT_UPLOAD_PATH_PREFIX}/edge-cases/${Date.now()}`;
+  const cases = pathEdgeCases(runPrefix);
+  logInfo(
+    `Testing ${cases.length} object keys under ${bucketName}/${runPrefix} (${urlType} URLs).`
+  );
+  beginReport("Path Edge Cases");
+
+  const results = [];
+  for (const edgeCase of cases) {
+    const result = await runCheck(
+      edgeCase.name,
+      async () => {
+        const { steps, storedKey } = await runPathEdgeCase(
+          bucketName,
+          edgeCase,
+          urlType
+        );
+        results.push({ name: edgeCase.name, steps, storedKey });
+        const failures = Object.entries(steps).filter(([, step]) => !step.ok);
+        return failures.length
+          ? {
+              status: "failed",
+              message: `${edgeCase.name}: ${failures
+                .map(([step, { message }]) => `${step} ${message}`)
+                .join("; ")}`,
+            }
+          : {
+              status: "passed",
+              message: `${edgeCase.name}: upload, list, download and URL OK`,
+            };
+      },
+      "  "
+    );
+    if (result.status === "failed" && result.message.startsWith("Exception"))
+      results.push({ name: edgeCase.name, steps: {} });
+  }
+  printPathEdgeTable(results, urlType);
+
+  const storedKeys = [
+    ...new Set(results.map(({ storedKey }) => storedKey).filter(Boolean)),
+  ];
+  if (storedKeys.length) {
+    const { failures } = await removeInBatches(bucketName, storedKeys);
+    if (failures.length)
+      logWarn(
+        `Could not remove ${failures.length} test object(s) under ${bucketName}/${runPrefix}.`
+      );
+    else logInfo(`\nRemoved ${storedKeys.length} test objects.`);
+  }
+  await saveReport();
+}
+
+const splitHeaderList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+function isSimpleCorsRequest({ method, headers }) {
+  return CORS_SAFELISTED_METHODS.includes(method) && !headers.length;
+}
+
+// Applies the checks a browser makes on a preflight (or, for simple
+// requests, on the actual response) and returns why it would block.
+function analyzeCorsResponse(response, origin, endpoint) {
+  if (!response.statusCode) return [`No response (${response.error})`];
+  const reasons = [];
+  const simple = isSimpleCorsRequest(endpoint);
+  if (!simple && (response.statusCode < 200 || response.statusCode >= 300))
+    reasons.push(`Preflight status ${response.statusCode} is not 2xx`);
+
+  const allowOrigin = response.headers["access-control-allow-origin"];
+  if (!allowOrigin) reasons.push("Missing Access-Control-Allow-Origin");
+  else if (allowOrigin !== "*" && allowOrigin !== origin)
+    reasons.push(
+      `Access-Control-Allow-Origin '${allowOrigin}' does not match '${origin}'`
+    );
+  if (simple) return reasons;
+
+  const allowMethods = splitHeaderList(
+    response.headers["access-control-allow-methods"]
+  );
+  if (
+    !CORS_SAFELISTED_METHODS.includes(endpoint.method) &&
+    !allowMethods.includes("*") &&
+    !allowMethods.includes(endpoint.method.toLowerCase())
+  )
+    reasons.push(
+      `Method ${endpoint.method} not in Access-Control-Allow-Methods`
+    );
+
+  const allowHeaders = splitHeaderList(
+    response.headers["access-control-allow-headers"]
+  );
+  // The "*" wildcard never covers Authorization.
+  const blockedHeaders = endpoint.headers.filter(
+    (name) =>
+      !allowHeaders.includes(name) &&
+      !(allowHeaders.includes("*") && name !== "authorization")
+  );
+  if (blockedHeaders.length)
+    reasons.push(
+      `Headers not in Access-Control-Allow-Headers: ${blockedHeaders.join(
+        ", "
+      )}`
+    );
+  return reasons;
+}
+
+function corsEndpoints(bucketName, objectPath) {
+  const base = `${process.env[ENV_SUPABASE_URL]}/storage/v1`;
+  const encodedPath = objectPath.split("/").map(encodeURIComponent).join("/");
+  const object = `${encodeURIComponent(bucketName)}/${encodedPath}`;
+  const authHeaders = ["apikey", "authorization", "x-client-info"];
+  return [
+    {
+      name: "Public object",
+      method: "GET",
+      url: `${base}/object/public/${object}`,
+      headers: [],
+    },
+    {
+      name: "Authenticated download",
+      method: "GET",
+      url: `${base}/object/${object}`,
+      headers: authHeaders,
+    },
+    {
+      name: "Upload",
+      method: "POST",
+      url: `${base}/object/${object}`,
+      headers: [...authHeaders, "cache-control", "content-type", "x-upsert"],
+    },
+    {
+      name: "Update",
+      method: "PUT",
+      url: `${base}/object/${object}`,
+      headers: [...authHeaders, "cache-control", "content-type"],
+    },
+    {
+      name: "Sign URL",
+      method: "POST",
+      url: `${base}/object/sign/${object}`,
+      headers: [...authHeaders, "content-type"],
+    },
+    {
+      name: "Resumable upload",
+      method: "POST",
+      url: `${base}/upload/resumable`,
+      headers: [
+        ...authHeaders,
+        "tus-resumable",
+        "upload-length",
+        "upload-metadata",
+        "x-upsert",
+      ],
+    },
+  ];
+}
+
+async function checkCorsPreflight() {
+  clearScreen();
+  log(COLORS.blue, "===", `CORS PREFLIGHT CHECK ===\n`);
+  const origins = (
+    await getInput(
+      "origins",
+      "Enter frontend origin(s), comma-separated (e.g. https://app.example.com):"
+    )
+  )
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+  if (!origins.length) {
+    logError("At least one origin required.");
+    return;
+  }
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const defaultPath = `${DEFAULT_UPLOAD_PATH_PREFIX}/cors-check.txt`;
+  const objectPath =
+    (await getInput("path", `Enter object path (default: ${defaultPath}):`)) ||
+    defaultPath;
+  beginReport("CORS Preflight Check");
+
+  const endpoints = corsEndpoints(bucketName, objectPath);
+  for (const origin of origins) {
+    log(COLORS.bright, "\nOrigin:", origin);
+    for (const endpoint of endpoints) {
+      const simple = isSimpleCorsRequest(endpoint);
+      await runCheck(
+        `${origin} ${endpoint.method} ${endpoint.name}`,
+        async () => {
+          const response = await sendHttpRequest(
+            endpoint.url,
+            simple ? endpoint.method : "OPTIONS",
+            simple
+              ? { Origin: origin }
+              : {
+                  Origin: origin,
+                  "Access-Control-Request-Method": endpoint.method,
+                  "Access-Control-Request-Headers": endpoint.headers.join(","),
+                },
+            { headersOnly: true }
+          );
+          Object.entries(response.headers)
+            .filter(([name]) => name.startsWith("access-control-"))
+            .forEach(([name, value]) =>
+              console.log(`     ${COLORS.dim}${name}: ${value}${COLORS.reset}`)
+            );
+          const reasons = analyzeCorsResponse(response, origin, endpoint);
+          const label = `${endpoint.name} (${endpoint.method}${
+            simple ? ", simple request" : ", preflight"
+          })`;
+          return reasons.length
+            ? {
+                status: "failed",
+                message: `${label}: BLOCKED by browser`,
+                hint: reasons.join("; "),
+              }
+            : { status: "passed", message: `${label}: allowed` };
+        },
+        "  "
+      );
+    }
+  }
+
+  await saveReport();
+}
+
+// Reads format and dimensions from the image header without decoding it.
+function readImageInfo(buffer) {
+  if (buffer.length < 30) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47)
+    return {
+      format: "png",
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20),
+    };
+  if (buffer.toString("ascii", 0, 4) === "GIF8")
+    return {
+      format: "gif",
+      width: buffer.readUInt16LE(6),
+      height: buffer.readUInt16LE(8),
+    };
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      const isStartOfFrame =
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame)
+        return {
+          format: "jpeg",
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5),
+        };
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return { format: "jpeg", width: null, height: null };
+  }
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    const chunk = buffer.toString("ascii", 12, 16);
+    if (chunk === "VP8 ")
+      return {
+        format: "webp",
+        width: buffer.readUInt16LE(26) & 0x3fff,
+        height: buffer.readUInt16LE(28) & 0x3fff,
+      };
+    if (chunk === "VP8L") {
+      const bits = buffer.readUInt32LE(21);
+      return {
+        format: "webp",
+        width: (bits & 0x3fff) + 1,
+        height: ((bits >> 14) & 0x3fff) + 1,
+      };
+    }
+    if (chunk === "VP8X")
+      return {
+        format: "webp",
+        width: buffer.readUIntLE(24, 3) + 1,
+        height: buffer.readUIntLE(27, 3) + 1,
+      };
+  }
+  if (
+    buffer.toString("ascii", 4, 8) === "ftyp" &&
+    ["avif", "avis"].includes(buffer.toString("ascii", 8, 12))
+  ) {
+    const ispe = buffer.indexOf("ispe");
+    return {
+      format: "avif",
+      width: ispe > 0 ? buffer.readUInt32BE(ispe + 8) : null,
+      height: ispe > 0 ? buffer.readUInt32BE(ispe + 12) : null,
+    };
+  }
+  return null;
+}
+
+function compareTransformedImage(info, transform, source) {
+  const issues = [];
+  const { width, height, resize = "cover" } = transform;
+  const actual = `${info.width}x${info.height}`;
+  if (width && height && resize === "contain") {
+    if (info.width > width || info.height > height)
+      issues.push(`${actual} does not fit within ${width}x${height}`);
+  } else if (width && height) {
+    if (info.width !== width || info.height !== height)
+      issues.push(`expected ${width}x${height}, got ${actual}`);
+  } else if (width && info.width !== width) {
+    issues.push(`expected width ${width}, got ${info.width}`);
+  } else if (height && info.height !== height) {
+    issues.push(`expected height ${height}, got ${info.height}`);
+  }
+  const expectedFormat =
+    transform.format === "origin" ? source?.format : transform.format;
+  if (expectedFormat && info.format !== expectedFormat)
+    issues.push(
+      `format '${transform.format}' requested (${expectedFormat}), got ${info.format}`
+    );
+  return issues;
+}
+
+async function checkTransformedUrl(name, url, transform, source) {
+  return runCheck(name, async () => {
+    let res;
+    let buffer;
+    try {
+      res = await tracedFetch(url, {
+        signal: AbortSignal.timeout(TRANSFORM_TIMEOUT_MS),
+      });
+      buffer = Buffer.from(await res.arrayBuffer());
+    } catch (e) {
+      if (e.name !== "TimeoutError") throw e;
+      return {
+        status: "failed",
+        message: `${name}: no response within ${TRANSFORM_TIMEOUT_MS / 1000}s.`,
+        hint: "The transformation service is slow or stuck. Try a smaller image or size, and check Supabase status.",
+      };
+    }
+    if (!res.ok) {
+      const body = buffer.toString("utf8").slice(0, 300);
+      const disabled =
+        [400, 403, 404, 422, 501].includes(res.status) &&
+        /transform|not enabled|feature|plan/i.test(body);
+      return {
+        status: "failed",
+        message: `${name}: Status ${res.status}: ${body || res.statusText}`,
+        hint: disabled
+          ? "Image transformations appear disabled or unsupported on this plan (they require a Pro plan or above, or enabling imgproxy on self-hosted)."
+          : getErrorHint(
+              { message: body, status: res.status },
+              { operation: "transform" }
+            ),
+      };
+    }
+    const info = readImageInfo(buffer);
+    if (!info)
+      return {
+        status: "warning",
+        message: `${name}: response (${res.headers.get(
+          "content-type"
+        )}) is not a recognised image.`,
+      };
+    const summary = `${info.format} ${info.width}x${info.height}, ${formatBytes(
+      buffer.length
+    )}`;
+    if (
+      source &&
+      info.width === source.width &&
+      info.height === source.height &&
+      (transform.width || transform.height) &&
+      (transform.width !== source.width || transform.height !== source.height)
+    )
+      return {
+        status: "warning",
+        message: `${name}: got the original dimensions (${summary}). The transformation was ignored.`,
+        hint: "The image may have been served from the object endpoint instead of /render/image, or transformations are disabled.",
+      };
+    const issues = compareTransformedImage(info, transform, source);
+    return issues.length
+      ? {
+          status: "failed",
+          message: `${name}: ${summary}: ${issues.join("; ")}`,
+        }
+      : { status: "passed", message: `${name}: ${summary}` };
+  });
+}
+
+async function checkImageTransform() {
+  clearScreen();
+  log(COLORS.blue, "===", `IMAGE TRANSFORMATION TEST ===\n`);
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const imagePath = await getInput("path", "Enter image path in bucket:");
+  if (!imagePath) {
+    logError("Image path required.");
+    return;
+  }
+  const toNumber = (value) => parseInt(value, 10) || undefined;
+  const transform = {
+    width: toNumber(await getInput("width", "Width in px (optional):")),
+    height: toNumber(await getInput("height", "Height in px (optional):")),
+    resize:
+      (await getInput(
+        "resize",
+        `Resize mode (${TRANSFORM_RESIZE_MODES.join("/")}, default: cover):`
+      )) || undefined,
+    quality: toNumber(await getInput("quality", "Quality 20-100 (optional):")),
+    format:
+      (await getInput(
+        "format",
+        `Format (${TRANSFORM_FORMATS.join(
+          "/"
+        )}, 'origin' keeps the original, blank for automatic):`
+      )) || undefined,
+  };
+  if (transform.format && !TRANSFORM_FORMATS.includes(transform.format)) {
+    logError(
+      `Invalid format '${transform.format}'. Use ${TRANSFORM_FORMATS.join(
+        ", "
+      )}.`
+    );
+    return;
+  }
+  if (transform.resize && !TRANSFORM_RESIZE_MODES.includes(transform.resize)) {
+    logError(
+      `Invalid resize mode '${
+        transform.resize
+      }'. Use ${TRANSFORM_RESIZE_MODES.join(", ")}.`
+    );
+    return;
+  }
+  Object.keys(transform).forEach(
+    (key) => transform[key] === undefined && delete transform[key]
+  );
+  const bucket = supabase.storage.from(bucketName);
+
+  logInfo(`\n1. Reading original image: ${bucketName}/${imagePath}`);
+  const { data: blob, error } = await bucket.download(imagePath);
+  let source = null;
+  if (error) {
+    logWarn(
+      `Could not download original (${error.message}). Comparisons with the source are skipped.`
+    );
+  } else {
+    source = readImageInfo(Buffer.from(await blob.arrayBuffer()));
+    if (source)
+      logSuccess(
+        `Original: ${source.format} ${source.width}x${
+          source.height
+        }, ${formatBytes(blob.size)}`
+      );
+    else logWarn(`Original (${blob.type}) is not a recognised image format.`);
+  }
+
+  logInfo(`\n2. Requesting transformations: ${JSON.stringify(transform)}`);
+  const { data: publicData } = bucket.getPublicUrl(imagePath, { transform });
+  logInfo(`Public transform URL: ${publicData.publicUrl}`);
+  await checkTransformedUrl(
+    "Public transform URL",
+    publicData.publicUrl,
+    transform,
+    source
+  );
+
+  const { data: signedData, error: signError } = await bucket.createSignedUrl(
+    imagePath,
+    DEFAULT_SIGNED_URL_EXPIRY,
+    { transform }
+  );
+  if (signError) {
+    logError(`Creating signed transform URL FAILED: ${signError.message}`);
+    logTip(getErrorHint(signError, { operation: "transform" }));
+    return;
+  }
+  logInfo(`Signed transform URL: ${signedData.signedUrl}`);
+  await checkTransformedUrl(
+    "Signed transform URL",
+    signedData.signedUrl,
+    transform,
+    source
+  );
+}
+
+const permissionResult = (error, deniedReason) =>
+  error || deniedReason
+    ? { allowed: false, reason: error?.message || deniedReason }
+    : { allowed: true };
+
+async function testIdentityPermissions(client, bucketName, objectPath, seeder) {
+  const bucket = client.storage.from(bucketName);
+  const body = Buffer.from(
+    `Supabase Storage Debug Tool: permission probe at ${new Date().toISOString()}`
+  );
+  const options = { contentType: "text/plain", upsert: true };
+  const results = {};
+
+  const { error: uploadError } = await bucket.upload(objectPath, body, options);
+  results.upload = permissionResult(uploadError);
+  // Seed the object with the service client so the remaining operations
+  // still have something to act on when this identity cannot insert.
+  if (uploadError && seeder)
+    await seeder.storage.from(bucketName).upload(objectPath, body, options);
+
+  const folder = path.posix.dirname(objectPath);
+  const fileName = path.posix.basename(objectPath);
+  const { data: items, error: listError } = await bucket.list(folder, {
+    search: fileName,
+  });
+  results.list = permissionResult(
+    listError,
+    !listError && !items.some((item) => item.name === fileName)
+      ? "Object not visible in listing (filtered by RLS select policy)"
+      : null
+  );
+
+  const { error: downloadError } = await bucket.download(objectPath);
+  results.download = permissionResult(downloadError);
+
+  const { error: updateError } = await bucket.update(objectPath, body, options);
+  results.update = permissionResult(updateError);
+
+  const { data: removed, error: removeError } = await bucket.remove([
+    objectPath,
+  ]);
+  results.delete = permissionResult(
+    removeError,
+    !removeError && !removed.length
+      ? "Nothing removed (filtered by RLS delete policy)"
+      : null
+  );
+  return results;
+}
+
+async function permissionMatrix() {
+  clearScreen();
+  log(COLORS.blue, "===", `PERMISSION MATRIX ===\n`);
+  const serviceKey = process.env[ENV_SERVICE_KEY];
+  const anonKey = process.env[ENV_ANON_KEY];
+
+  const bucketName = await getInput("bucket", "Enter bucket name:");
+  if (!bucketName) {
+    logError("Bucket name required.");
+    return;
+  }
+  const prefixInput = await getInput(
+    "prefix",
+    `Enter path prefix (default: ${DEFAULT_UPLOAD_PATH_PREFIX}/permissions):`
+  );
+  const prefix = (
+    prefixInput || `${DEFAULT_UPLOAD_PATH_PREFIX}/permissions`
+  ).replace(/\/+$/, "");
+  const accessToken =
+    (await getInput(
+      "token",
+      `Enter user access token (optional, default: ${ENV_USER_TOKEN}):`
+    )) || process.env[ENV_USER_TOKEN];
+
+  const identities = [];
+  if (anonKey)
+    identities.push({ name: "anon", client: createIdentityClient(anonKey) });
+  if (serviceKey)
+    identities.push({
+      name: "service_role",
+      client: createIdentityClient(serviceKey),
+    });
+  if (accessToken)
+    identities.push({
+      name: "user",
+      client: createIdentityClient(anonKey || serviceKey, accessToken),
+    });
+  if (!identities.length) {
+    logError("No keys or tokens available to build identity clients.");
     return;
   }
+  if (!serviceKey)
+    logWarn(
+      `${ENV_SERVICE_KEY} not set: objects cannot be seeded for identities that are denied upload, and cleanup may be incomplete.`
+    );
+  const seeder = serviceKey ? createIdentityClient(serviceKey) : null;
+
+  for (const identity of identities) {
+    const objectPath = `${prefix}/permission-matrix-${identity.name}.txt`;
+    logInfo(`Testing '${identity.name}' on ${bucketName}/${objectPath}...`);
+    try {
+      identity.results = await testIdentityPermissions(
+        identity.client,
+        bucketName,
+        objectPath,
+        seeder
+      );
+    } catch (e) {
+      logError(`Permission test for '${identity.name}' failed: ${e.message}`);
+      logTip(getErrorHint(e));
+    }
+    if (seeder)
+      await seeder.storage
+        .from(bucketName)
+        .remove([objectPath])
+        .catch(() => {});
+  }
 
-  logInfo(
-    `\n1. Attempting download via Supabase client: ${bucketName}/${filePath}`
+  const tested = identities.filter((identity) => identity.results);
+  if (!tested.length) return;
+
+  console.log(
+    `\n${COLORS.bright}${"Identity".padEnd(14)}${PERMISSION_OPERATIONS.map(
+      (op) => op.padEnd(10)
+    ).join("")}${COLORS.reset}`
   );
-  const startTime = Date.now();
-  try {
-    const { data: blob, error } = await supabase.storage
-      .from(bucketName)
-      .download(filePath);
-    if (error) {
-      logError(`Download FAILED: ${error.message}`);
-      logTip(getErrorHint(error));
-    } else {
-      const duration = Date.now() - startTime;
-      logSuccess(
-        `Download SUCCEEDED in ${duration}ms. Size: ${formatBytes(
-          blob.size
-        )}, Type: ${blob.type}`
-      );
-      const dlPath = path.join(
-        TEMP_DIR_PATH,
-        `download_${path.basename(filePath)}`
-      );
-      fs.writeFileSync(dlPath, Buffer.from(await blob.arrayBuffer()));
-      logInfo(`File saved locally to: ${dlPath} (for inspection)`);
-    }
-  } catch (e) {
-    logError(`Critical download exception: ${e.message}`);
+  tested.forEach(({ name, results }) => {
+    const cells = PERMISSION_OPERATIONS.map((op) =>
+      results[op].allowed
+        ? `${COLORS.green}${"ALLOW".padEnd(10)}${COLORS.reset}`
+        : `${COLORS.red}${"DENY".padEnd(10)}${COLORS.reset}`
+    );
+    console.log(`${name.padEnd(14)}${cells.join("")}`);
+  });
+
+  const denials = tested.flatMap(({ name, results }) =>
+    PERMISSION_OPERATIONS.filter((op) => !results[op].allowed).map((op) => ({
+      name,
+      op,
+      reason: results[op].reason,
+    }))
+  );
+  if (denials.length) {
+    console.log(`\n${COLORS.bright}Denials:${COLORS.reset}`);
+    denials.forEach(({ name, op, reason }) =>
+      console.log(`  ${name} / ${op}: ${COLORS.dim}${reason}${COLORS.reset}`)
+    );
+  } else {
+    logSuccess("\nAll identities were allowed every operation.");
   }
+}
 
-  logInfo("\n2. Checking public URL accessibility (if any):");
-  const { data: urlData } = supabase.storage
-    .from(bucketName)
-    .getPublicUrl(filePath);
-  if (urlData?.publicUrl) {
-    logInfo(`Public URL: ${urlData.publicUrl}`);
-    const publicUrlCheck = await checkUrl(urlData.publicUrl);
-    if (publicUrlCheck.accessible)
-      logSuccess(
-        `Public URL accessible (Status: ${publicUrlCheck.statusCode}).`
+function loadScenarioFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const parsed = /\.ya?ml$/i.test(filePath)
+    ? YAML.parse(text)
+    : JSON.parse(text);
+  const scenarios = Array.isArray(parsed?.scenarios)
+    ? parsed.scenarios
+    : [parsed];
+  scenarios.forEach((scenario, i) => {
+    if (!Array.isArray(scenario?.steps) || !scenario.steps.length)
+      throw new Error(`Scenario ${scenario?.name || i + 1} has no steps.`);
+    const unknown = [
+      ...(scenario.setup || []),
+      ...scenario.steps,
+      ...(scenario.teardown || []),
+    ].find((step) => !SCENARIO_ACTIONS.includes(step.action));
+    if (unknown)
+      throw new Error(
+        `Unknown action '${
+          unknown.action
+        }'. Use one of: ${SCENARIO_ACTIONS.join(", ")}.`
       );
-    else
-      logWarn(
-        `Public URL check (Status: ${publicUrlCheck.statusCode}, Error: ${
-          publicUrlCheck.error || "N/A"
-        }). RLS/CORS/private bucket?`
+  });
+  return scenarios;
+}
+
+// Replaces ${name} and ${env.NAME} in every string of a step.
+function interpolate(value, variables) {
+  if (typeof value === "string")
+    return value.replace(/\$\{([\w.]+)\}/g, (placeholder, name) => {
+      const resolved = name.startsWith("env.")
+        ? process.env[name.slice(4)]
+        : variables[name];
+      if (resolved === undefined)
+        throw new Error(`Undefined variable ${placeholder}`);
+      return String(resolved);
+    });
+  if (Array.isArray(value))
+    return value.map((item) => interpolate(item, variables));
+  if (value && typeof value === "object")
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        interpolate(item, variables),
+      ])
+    );
+  return value;
+}
+
+async function buildScenarioIdentities(definitions = {}) {
+  const serviceKey = process.env[ENV_SERVICE_KEY];
+  const anonKey = process.env[ENV_ANON_KEY];
+  const userToken = cliFlags?.token || process.env[ENV_USER_TOKEN];
+  const identities = {
+    default: { client: supabase, keyType: currentKeyType() },
+  };
+  if (anonKey)
+    identities.anon = {
+      client: createIdentityClient(anonKey),
+      keyType: "anon",
+    };
+  if (serviceKey)
+    identities.service = identities.service_role = {
+      client: createIdentityClient(serviceKey),
+      keyType: "service_role",
+    };
+  if (userToken)
+    identities.user = {
+      client: createIdentityClient(userApiKey(), userToken),
+      keyType: "user",
+    };
+  for (const [name, definition] of Object.entries(definitions)) {
+    let accessToken = definition.token;
+    if (!accessToken && definition.email) {
+      const { data, error } = await createIdentityClient(
+        userApiKey()
+      ).auth.signInWithPassword({
+        email: definition.email,
+        password: definition.password || "",
+      });
+      if (error)
+        throw new Error(
+          `Sign-in for identity '${name}' failed: ${error.message}`
+        );
+      accessToken = data.session.access_token;
+    }
+    if (!accessToken)
+      throw new Error(
+        `Identity '${name}' needs a token or an email and password.`
       );
-  } else {
-    logWarn("Could not retrieve public URL for this file.");
+    identities[name] = {
+      client: createIdentityClient(userApiKey(), accessToken),
+      keyType: "user",
+    };
   }
+  return identities;
 }
 
-async function fullDiagnostics() {
-  console.clear();
-  log(COLORS.blue, "===", `ADVANCED DIAGNOSTICS ===\n`);
+function scenarioPayload(step, baseDir) {
+  if (step.file) return fs.readFileSync(path.resolve(baseDir, step.file));
+  if (step.size !== undefined)
+    return crypto.randomBytes(parseSize(step.size) ?? 0);
+  return Buffer.from(step.content ?? `Scenario object ${step.path}`);
+}
 
-  log(COLORS.bright, "1.", `Environment & Client Status`);
-  const supUrl = process.env[ENV_SUPABASE_URL];
-  const hasServKey = !!process.env[ENV_SERVICE_KEY];
-  const hasAnonKey = !!process.env[ENV_ANON_KEY];
-  console.log(
-    `   ${ENV_SUPABASE_URL}: ${
-      supUrl
-        ? `${COLORS.green}SET (${supUrl})${COLORS.reset}`
-        : `${COLORS.red}NOT SET${COLORS.reset}`
-    }`
-  );
-  console.log(
-    `   ${ENV_SERVICE_KEY}: ${
-      hasServKey
-        ? `${COLORS.green}SET${COLORS.reset}`
-        : `${COLORS.yellow}NOT SET${COLORS.reset}`
-    }`
-  );
-  console.log(
-    `   ${ENV_ANON_KEY}: ${
-      hasAnonKey
-        ? `${COLORS.green}SET${COLORS.reset}`
-        : `${COLORS.yellow}NOT SET${COLORS.reset}`
-    }`
-  );
-  console.log(
-    `   Using Key: ${
-      hasServKey
-        ? "Service Role (Optimal)"
-        : hasAnonKey
-        ? "Anon Key (Limited)"
-        : "NONE (Critical!)"
-    }`
-  );
-  if (supabase) logSuccess(`   Supabase client: Initialized.`);
-  else logError(`   Supabase client: NOT Initialized.`);
+async function fetchScenarioUrl(url) {
+  const res = await tracedFetch(url);
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const result = {
+    status: res.status,
+    sha256: sha256(buffer),
+    size: buffer.length,
+    contentType: baseContentType(res.headers.get("content-type")),
+    text: buffer.toString("utf8"),
+  };
+  if (!res.ok)
+    return {
+      error: {
+        status: res.status,
+        message: `HTTP ${res.status}: ${result.text.slice(0, 200)}`,
+      },
+      result,
+    };
+  return { result };
+}
 
-  log(COLORS.bright, "\n2.", `Bucket Overview & Basic Permissions`);
-  try {
-    const { data: buckets, error: bError } =
-      await supabase.storage.listBuckets();
-    if (bError) logError(`   Bucket listing failed: ${bError.message}`);
-    else if (!buckets.length) logWarn("   No buckets found.");
-    else {
-      logSuccess(`   Found ${buckets.length} buckets. Testing basic ops:`);
-      for (const bucket of buckets) {
-        console.log(
-          `   - Bucket: ${COLORS.bright}${bucket.name}${
-            COLORS.reset
-          } (Public: ${bucket.public ? "Yes" : "No"})`
+// Runs one action and returns { error, result } with the fields expectations
+// and `save` can refer to.
+async function runScenarioAction(client, step, baseDir) {
+  const bucket = client.storage.from(step.bucket);
+  switch (step.action) {
+    case "upload": {
+      const payload = scenarioPayload(step, baseDir);
+      const contentType =
+        step.contentType ||
+        (step.file
+          ? (await detectContentType(path.resolve(baseDir, step.file)))
+              .contentType
+          : MIME_TYPES_MAP[path.extname(step.path).toLowerCase()] ||
+            MIME_TYPES_MAP.default);
+      const { data, error } = await bucket.upload(step.path, payload, {
+        contentType,
+        upsert: step.upsert ?? true,
+      });
+      return {
+        error,
+        result: {
+          path: data?.path,
+          sha256: sha256(payload),
+          size: payload.length,
+          contentType,
+        },
+      };
+    }
+    case "download": {
+      const { data, error } = await bucket.download(step.path);
+      if (error) return { error };
+      const buffer = Buffer.from(await data.arrayBuffer());
+      return {
+        result: {
+          sha256: sha256(buffer),
+          size: buffer.length,
+          contentType: baseContentType(data.type),
+          text: buffer.toString("utf8"),
+        },
+      };
+    }
+    case "list": {
+      try {
+        const items = await listAllItems(
+          step.bucket,
+          step.path || "",
+          { sort: "name", order: "asc" },
+          client
         );
-        const { data: files, error: fError } = await supabase.storage
-          .from(bucket.name)
-          .list("", { limit: 1 });
-        if (fError)
-          logWarn(
-            `     List files in '${bucket.name}': FAILED (${fError.message})`
-          );
-        else
-          logSuccess(
-            `     List files in '${bucket.name}': OK (${files.length} items at root)`
-          );
+        return {
+          result: {
+            count: items.length,
+            names: items.map((item) => item.name),
+          },
+        };
+      } catch (error) {
+        return { error, result: { count: 0, names: [] } };
       }
     }
-  } catch (e) {
-    logError(`   Bucket ops error: ${e.message}`);
+    case "remove": {
+      const paths = step.paths || [step.path];
+      const { data, error } = await bucket.remove(paths);
+      // RLS filters the delete silently; count what was actually removed.
+      return { error, result: { count: data?.length ?? 0 } };
+    }
+    case "copy":
+    case "move": {
+      const { error } = await bucket[step.action](
+        step.path,
+        step.to,
+        step.toBucket ? { destinationBucket: step.toBucket } : undefined
+      );
+      return { error, result: { path: step.to } };
+    }
+    case "exists": {
+      const { data, error } = await bucket.exists(step.path);
+      return { error, result: { exists: !!data } };
+    }
+    case "info": {
+      const { data, error } = await bucket.info(step.path);
+      return {
+        error,
+        result: data && {
+          size: data.size,
+          contentType: data.contentType,
+          etag: data.etag,
+          cacheControl: data.cacheControl,
+        },
+      };
+    }
+    case "signed-url": {
+      const { data, error } = await bucket.createSignedUrl(
+        step.path,
+        Number(step.expires) || DEFAULT_SIGNED_URL_EXPIRY
+      );
+      if (error) return { error };
+      const fetched = await fetchScenarioUrl(data.signedUrl);
+      return {
+        ...fetched,
+        result: { ...fetched.result, signedUrl: data.signedUrl },
+      };
+    }
+    case "public-url":
+      return fetchScenarioUrl(bucket.getPublicUrl(step.path).data.publicUrl);
+    case "list-buckets": {
+      const { data, error } = await client.storage.listBuckets();
+      return {
+        error,
+        result: {
+          count: data?.length ?? 0,
+          names: (data || []).map((b) => b.name),
+        },
+      };
+    }
   }
+}
 
-  log(
-    COLORS.bright,
-    "\n3.",
-    `Storage Upload/Download Permission Test (using first available bucket)`
-  );
-  const { data: bucketsList } = await supabase.storage.listBuckets();
-  const targetBucket = bucketsList?.[0]?.name;
+const matchesText = (expected, actual) => {
+  const regex = /^\/(.*)\/([a-z]*)$/.exec(expected);
+  return regex
+    ? new RegExp(regex[1], regex[2]).test(actual)
+    : actual.toLowerCase().includes(String(expected).toLowerCase());
+};
 
-  if (targetBucket) {
-    logInfo(`   Using bucket '${targetBucket}' for R/W test.`);
-    const testFile = await prepareTestFile("text");
-    if (testFile) {
-      const testPath = `${DEFAULT_UPLOAD_PATH_PREFIX}/diagnostics-rw-test.txt`;
-      const uploadResultPath = await coreUploadProcessor(
-        targetBucket,
-        testPath,
-        { path: testFile.filePath },
-        testFile.contentType,
-        testFile.fileSize
-      );
-      if (uploadResultPath) {
-        logInfo(
-          `   Attempting to download test file: ${targetBucket}/${testPath}`
+// Returns the list of failed expectations; an empty list means the step passed.
+function checkExpectations(expect, { error, result = {} }, context) {
+  const details = error && errorDetails(error);
+  const failures = [];
+  const expectFailure =
+    expect.ok === false ||
+    expect.error !== undefined ||
+    expect.category !== undefined ||
+    expect.status >= 400;
+  if (expectFailure && !error)
+    failures.push("expected an error but the call succeeded");
+  if (!expectFailure && error)
+    failures.push(`unexpected error: ${details.message}`);
+  Object.entries(expect).forEach(([key, expected]) => {
+    if (key === "ok") return;
+    if (key === "status") {
+      const actual = error ? details.status : result.status ?? 200;
+      if (actual !== Number(expected))
+        failures.push(`status ${actual}, expected ${expected}`);
+    } else if (key === "error") {
+      if (error && !matchesText(expected, details.message))
+        failures.push(`error '${details.message}' does not match ${expected}`);
+    } else if (key === "category") {
+      const { category } = error ? classifyError(error, context) : {};
+      if (error && category !== expected)
+        failures.push(`error category ${category}, expected ${expected}`);
+    } else if (key === "contains") {
+      if (!error && !matchesText(expected, result.text ?? ""))
+        failures.push(`content does not contain ${expected}`);
+    } else if (key === "includes") {
+      if (!error && !(result.names || []).includes(expected))
+        failures.push(
+          `'${expected}' not in [${(result.names || []).join(", ")}]`
         );
-        const { error: dlError } = await supabase.storage
-          .from(targetBucket)
-          .download(testPath);
-        if (dlError)
-          logError(`     Download test: FAILED (${dlError.message})`);
-        else logSuccess(`     Download test: OK`);
+    } else if (!error && String(result[key]) !== String(expected)) {
+      failures.push(`${key} ${result[key]}, expected ${expected}`);
+    }
+  });
+  return failures;
+}
 
-        logInfo(
-          `   Attempting to delete test file: ${targetBucket}/${testPath}`
-        );
-        const { error: rmError } = await supabase.storage
-          .from(targetBucket)
-          .remove([testPath]);
-        if (rmError)
-          logWarn(
-            `     Delete test: FAILED (${rmError.message}). Manual cleanup may be needed.`
-          );
-        else logSuccess(`     Delete test: OK`);
-      } else {
-        logError(
-          `   Upload portion of R/W test failed for bucket '${targetBucket}'.`
+async function runScenarioStep(rawStep, phase, scenario, state) {
+  const rawTitle =
+    rawStep.name || `${rawStep.action} ${rawStep.path || ""}`.trim();
+  let title;
+  try {
+    title = interpolate(rawTitle, state.variables);
+  } catch {
+    // Keep the placeholder in the label; interpolating the step reports it.
+    title = rawTitle;
+  }
+  const label = `${phase === "steps" ? "" : `${phase}: `}${title}`;
+  return runCheck(
+    label,
+    async () => {
+      if (state.skipRest && phase === "steps")
+        return {
+          status: "skipped",
+          message: `${label}: skipped after a setup failure`,
+        };
+      let step;
+      try {
+        step = interpolate(
+          { bucket: scenario.bucket, ...rawStep },
+          state.variables
         );
+      } catch (e) {
+        return { status: "failed", message: `${label}: ${e.message}` };
       }
-      try {
-        fs.unlinkSync(testFile.filePath);
-      } catch {}
-    } else {
-      logError("   Could not prepare test file for R/W diagnostics.");
-    }
-  } else {
-    logWarn("   No buckets available to perform R/W permission test.");
+      const identityName = step.as || "default";
+      const identity = state.identities[identityName];
+      if (!identity) throw new Error(`Unknown identity '${identityName}'`);
+      if (!step.bucket && step.action !== "list-buckets")
+        throw new Error("No bucket set on the step or the scenario");
+      const startTime = Date.now();
+      const outcome = await runScenarioAction(
+        identity.client,
+        step,
+        state.baseDir
+      );
+      const context = {
+        operation: step.action === "signed-url" ? "sign" : step.action,
+        keyType: identity.keyType,
+        path: step.path,
+      };
+      const failures = checkExpectations(
+        step.expect || { ok: true },
+        outcome,
+        context
+      );
+      Object.entries(step.save || {}).forEach(([name, field]) => {
+        state.variables[name] = outcome.result?.[field];
+      });
+      const summary = `${label} [as ${identityName}, ${
+        Date.now() - startTime
+      }ms]`;
+      if (!failures.length) return { status: "passed", message: summary };
+      if (phase === "setup") state.skipRest = true;
+      return {
+        status: phase === "teardown" ? "warning" : "failed",
+        message: `${summary}: ${failures.join("; ")}`,
+        ...(outcome.error && { hint: getErrorHint(outcome.error, context) }),
+      };
+    },
+    "  "
+  );
+}
+
+async function runScenarios() {
+  clearScreen();
+  log(COLORS.blue, "===", `SCENARIO RUNNER ===\n`);
+  const filePath = await getInput(
+    "file",
+    "Scenario file (.json, .yaml or .yml):"
+  );
+  if (!filePath || !fs.existsSync(filePath)) {
+    logError(`Scenario file not found: ${filePath}`);
+    return;
   }
+  let scenarios;
+  try {
+    scenarios = loadScenarioFile(filePath);
+  } catch (e) {
+    logError(`Invalid scenario file: ${e.message}`);
+    return;
+  }
+  const overrides = Object.fromEntries(
+    (cliFlags?.var || []).map((pair) => {
+      const index = pair.indexOf("=");
+      return [pair.slice(0, index), pair.slice(index + 1)];
+    })
+  );
+  const isOverridden = ([name]) => Object.hasOwn(overrides, name);
+  beginReport(`Scenarios: ${path.basename(filePath)}`);
 
-  log(COLORS.bright, "\n4.", `CORS/Public URL Check`);
-  if (supUrl) {
-    const storagePublicTestUrl = `${supUrl}/storage/v1/object/public/${
-      targetBucket || "test-bucket"
-    }/nonexistent-test-file.txt`;
-    logInfo(`   Pinging sample public URL: ${storagePublicTestUrl}`);
-    const { statusCode, error: urlErr } = await checkUrl(storagePublicTestUrl);
-    if (statusCode === 404) {
-      // 404 is expected for a non-existent file if endpoint is reachable
-      logSuccess(
-        `   Public URL endpoint seems responsive (expected 404 for test file).`
+  for (const scenario of scenarios) {
+    log(COLORS.bright, "\nScenario:", scenario.name || path.basename(filePath));
+    const runId = Date.now();
+    const state = {
+      baseDir: path.dirname(path.resolve(filePath)),
+      skipRest: false,
+      variables: {
+        runId,
+        prefix: `${DEFAULT_UPLOAD_PATH_PREFIX}/scenarios/${runId}`,
+        bucket: scenario.bucket,
+      },
+    };
+    try {
+      // Overrides go first so the scenario's own variables are built from them.
+      Object.assign(state.variables, overrides);
+      Object.assign(
+        state.variables,
+        interpolate(
+          Object.fromEntries(
+            Object.entries(scenario.variables || {}).filter(
+              (entry) => !isOverridden(entry)
+            )
+          ),
+          state.variables
+        )
       );
-    } else if (statusCode > 0) {
-      logWarn(
-        `   Public URL endpoint check returned status ${statusCode}. Might indicate CORS/config issues.`
+      state.identities = await buildScenarioIdentities(
+        interpolate(scenario.identities, state.variables)
       );
-    } else {
-      logError(
-        `   Public URL endpoint check FAILED (Error: ${
-          urlErr || "Unknown"
-        }). Likely CORS or network issue.`
+    } catch (e) {
+      await runCheck(`${scenario.name || "scenario"} setup`, async () => ({
+        status: "failed",
+        message: e.message,
+      }));
+      continue;
+    }
+    for (const phase of ["setup", "steps", "teardown"])
+      for (const step of scenario[phase] || [])
+        await runScenarioStep(step, phase, scenario, state);
+  }
+
+  const summary = summarizeReport();
+  log(
+    COLORS.bright,
+    "\nSummary:",
+    `${summary.passed} passed, ${summary.failed} failed, ${summary.warning} warnings, ${summary.skipped} skipped (${summary.total} steps)`
+  );
+  await saveReport();
+}
+
+function exitTool() {
+  log(COLORS.blue, "===", "Exiting Supabase Storage Debug Tool. ===");
+  closePrompt();
+  if (fs.existsSync(TEMP_DIR_PATH)) {
+    try {
+      fs.rmSync(TEMP_DIR_PATH, { recursive: true, force: true });
+      logInfo("Temporary directory cleaned up.");
+    } catch (e) {
+      logWarn(
+        `Could not fully clean up temp directory ${TEMP_DIR_PATH}: ${e.message}`
       );
     }
-    logTip(
-      "   Ensure your Supabase project's CORS settings (Dashboard > Project Settings > API > Storage) include your origin or '*' for testing."
-    );
-  } else {
-    logWarn(
-      "   Supabase URL not set, cannot perform full CORS/Public URL check."
-    );
   }
 }
 
@@ -752,40 +6444,249 @@ const menuActions = {
   3: {
     description: "Upload Test (Generated Text File)",
     func: () => handleGeneratedFileUpload("text"),
+    writes: true,
   },
   4: {
     description: "Upload Test (Generated Image File)",
     func: () => handleGeneratedFileUpload("image"),
+    writes: true,
   },
   5: {
     description: "Upload Test (Custom Local File)",
     func: handleCustomFileUpload,
+    writes: true,
   },
   6: { description: "List Files in Bucket", func: showBucketFiles },
   7: { description: "Download Test", func: checkDownload },
-  8: { description: "Full Diagnostics", func: fullDiagnostics },
-  9: {
-    description: "Exit",
-    func: () => {
-      log(COLORS.blue, "===", "Exiting Supabase Storage Debug Tool. ===");
-      rl.close();
-      if (fs.existsSync(TEMP_DIR_PATH)) {
-        try {
-          fs.rmSync(TEMP_DIR_PATH, { recursive: true, force: true });
-          logInfo("Temporary directory cleaned up.");
-        } catch (e) {
-          logWarn(
-            `Could not fully clean up temp directory ${TEMP_DIR_PATH}: ${e.message}`
-          );
-        }
-      }
-    },
+  8: { description: "Full Diagnostics", func: fullDiagnostics, writes: true },
+  9: { description: "Permission Matrix", func: permissionMatrix, writes: true },
+  10: { description: "Sign In as User", func: signInAsUser },
+  11: { description: "Sign Out / Switch Identity", func: signOutUser },
+  12: { description: "Signed Download URL Test", func: checkSignedUrls },
+  13: {
+    description: "Signed Upload URL Test",
+    func: checkSignedUpload,
+    writes: true,
+  },
+  14: {
+    description: "Resumable Upload Test (TUS)",
+    func: handleResumableUpload,
+    writes: true,
+  },
+  15: {
+    description: "Benchmark (Throughput & Latency)",
+    func: runBenchmark,
+    writes: true,
+  },
+  16: {
+    description: "Bucket Administration",
+    func: bucketAdministration,
+    writes: true,
+  },
+  17: { description: "CORS Preflight Check", func: checkCorsPreflight },
+  18: { description: "Image Transformation Test", func: checkImageTransform },
+  19: { description: "Switch Profile", func: switchProfile },
+  20: { description: "Sync Local Folder With Bucket", func: syncDirectory },
+  21: {
+    description: "Clean Up Debug Artifacts",
+    func: cleanupDebugArtifacts,
+    writes: true,
+  },
+  22: {
+    description: "Move / Copy / Rename Test",
+    func: checkMoveCopy,
+    writes: true,
+  },
+  23: { description: "Toggle Verbose HTTP Tracing", func: toggleHttpTrace },
+  24: { description: "Export HTTP Trace (HAR)", func: exportHttpTrace },
+  25: { description: "Health Monitor (Watch Mode)", func: watchHealth },
+  26: {
+    description: "Metadata & Cache Header Inspector",
+    func: inspectObjectHeaders,
+  },
+  27: {
+    description: "Path & Filename Edge Cases",
+    func: checkPathEdgeCases,
+    writes: true,
+  },
+  28: { description: "Run Scenario File", func: runScenarios, writes: true },
+  29: { description: "API Key & Token Inspector", func: inspectKeys },
+  30: { description: "Exit", func: exitTool },
+};
+
+const cliCommands = {
+  connectivity: {
+    description: "Connection & config test ([--report file.json|file.xml])",
+    func: checkConnectivity,
+  },
+  "list-buckets": { description: "List buckets", func: showBuckets },
+  upload: {
+    description:
+      "Upload test (--bucket, --file or --type text|image, [--path], [--content-type])",
+    func: () =>
+      cliFlags.file
+        ? handleCustomFileUpload()
+        : handleGeneratedFileUpload(cliFlags.type || "text"),
+    writes: true,
+  },
+  "list-files": {
+    description:
+      "List files in bucket (--bucket, [--prefix], [--recursive], [--sort name|size|updated_at], [--order], [--search])",
+    func: showBucketFiles,
+  },
+  download: {
+    description: "Download test (--bucket, --path, [--file local-to-compare])",
+    func: checkDownload,
+  },
+  diagnostics: {
+    description: "Full diagnostics ([--report file.json|file.xml])",
+    func: fullDiagnostics,
+    writes: true,
+  },
+  permissions: {
+    description:
+      "Permission matrix per identity (--bucket, [--prefix], [--token])",
+    func: permissionMatrix,
+    writes: true,
+  },
+  "signed-url": {
+    description:
+      "Signed download URL test (--bucket, --path a,b, [--expires], [--wait-expiry])",
+    func: checkSignedUrls,
+  },
+  "signed-upload": {
+    description:
+      "Signed upload URL test (--bucket, [--path], [--expires], [--wait-expiry])",
+    func: checkSignedUpload,
+    writes: true,
+  },
+  resumable: {
+    description:
+      "Resumable TUS upload (--bucket, --file or --size MB, [--path], [--chunk-size MB], [--interrupt-at %])",
+    func: handleResumableUpload,
+    writes: true,
+  },
+  benchmark: {
+    description:
+      "Upload/download benchmark (--bucket, [--iterations], [--concurrency], [--sizes KB,KB])",
+    func: runBenchmark,
+    writes: true,
+  },
+  cors: {
+    description:
+      "CORS preflight per origin (--origins a,b, --bucket, [--path], [--report])",
+    func: checkCorsPreflight,
+  },
+  transform: {
+    description:
+      "Image transformation test (--bucket, --path, [--width], [--height], [--resize], [--quality], [--format])",
+    func: checkImageTransform,
+  },
+  "bucket-create": {
+    description:
+      "Create bucket (--bucket, [--public true|false], [--size-limit 5MB], [--mime-types a,b], --yes)",
+    func: createBucket,
+    writes: true,
+  },
+  "bucket-update": {
+    description:
+      "Update bucket settings (--bucket, [--public], [--size-limit], [--mime-types], --yes)",
+    func: updateBucket,
+    writes: true,
+  },
+  "bucket-empty": {
+    description: "Empty bucket (--bucket, --yes)",
+    func: emptyBucket,
+    writes: true,
+  },
+  "bucket-delete": {
+    description: "Delete bucket (--bucket, --yes)",
+    func: deleteBucket,
+    writes: true,
+  },
+  "bucket-verify": {
+    description: "Verify MIME/size settings are enforced (--bucket)",
+    func: () => verifyBucketSettings(),
+    writes: true,
+  },
+  sync: {
+    description:
+      "Sync a folder with a bucket (--dir, --bucket, [--prefix], [--direction upload|download], [--delete], [--dry-run], [--concurrency])",
+    func: syncDirectory,
+  },
+  cleanup: {
+    description: `Remove leftover '${DEFAULT_UPLOAD_PATH_PREFIX}/' objects ([--bucket a,b], [--older-than 7d], --yes)`,
+    func: cleanupDebugArtifacts,
+    writes: true,
+  },
+  "move-copy": {
+    description:
+      "Copy, rename and move tests (--bucket, [--to-bucket], [--path source], [--to folder], [--report])",
+    func: checkMoveCopy,
+    writes: true,
+  },
+  inspect: {
+    description:
+      "Compare stored metadata with served cache headers (--bucket, --path, [--url-type public|signed], [--report])",
+    func: inspectObjectHeaders,
+  },
+  "edge-cases": {
+    description:
+      "Upload/list/download/URL matrix for tricky object keys (--bucket, [--report])",
+    func: checkPathEdgeCases,
+    writes: true,
+  },
+  keys: {
+    description:
+      "Decode API keys and user token, check role, project and expiry ([--token], [--report])",
+    func: inspectKeys,
+  },
+  scenario: {
+    description:
+      "Run a JSON/YAML scenario file (--file, [--var name=value ...], [--report])",
+    func: runScenarios,
+    writes: true,
+  },
+  watch: {
+    description: `Repeat health probes (--probes ${WATCH_PROBES.join(
+      ","
+    )}, [--bucket], [--path public-object], [--interval s], [--count], [--log file|none], [--webhook url])`,
+    func: watchHealth,
   },
 };
 
+function printUsage() {
+  console.log(`Usage: node ${path.basename(__filename)} [command] [options]\n`);
+  console.log("Runs the interactive menu when no command is given.\n");
+  console.log("Commands:");
+  Object.entries(cliCommands).forEach(([name, { description }]) => {
+    console.log(`  ${name.padEnd(14)} ${description}`);
+  });
+  console.log("\nOptions:");
+  Object.entries(CLI_OPTIONS).forEach(([name, { type, short }]) => {
+    const flag = `${short ? `-${short}, ` : "    "}--${name}`;
+    console.log(`  ${flag}${type === "string" ? " <value>" : ""}`);
+  });
+  console.log("\n--token or --email/--password run the command as that user.");
+  console.log(
+    "--verbose prints every HTTP request; --har <file> saves them as a HAR file."
+  );
+  console.log(
+    `Project-specific error hints are read from ${DEFAULT_HINTS_FILE} (or $${ENV_HINTS_FILE}); see supabase-debug-hints.example.json.`
+  );
+  console.log("Exit code is 1 if any check fails, 2 on invalid usage.");
+}
+
 async function mainLoop() {
-  console.clear();
+  clearScreen();
   log(COLORS.blue, "===", "SUPABASE STORAGE DEBUGGER v1.0 ===");
+  console.log(
+    `${COLORS.dim}Profile: ${COLORS.reset}${describeProfile()}${
+      COLORS.dim
+    } | Identity: ${describeIdentity()}${
+      httpTrace.enabled ? " | HTTP tracing: on" : ""
+    }${COLORS.reset}`
+  );
   log(COLORS.bright, "\nSelect an operation:", COLORS.reset);
   Object.entries(menuActions).forEach(([key, { description }]) => {
     console.log(`${COLORS.yellow}${key}.${COLORS.reset} ${description}`);
@@ -795,8 +6696,10 @@ async function mainLoop() {
   const selectedAction = menuActions[choice];
 
   if (selectedAction) {
-    await selectedAction.func();
-    if (choice !== "9") {
+    productionConfirmed = false;
+    if (!selectedAction.writes || (await confirmProductionWrite()))
+      await selectedAction.func();
+    if (selectedAction.func !== exitTool) {
       await pressEnterToContinue();
       await mainLoop();
     }
@@ -807,14 +6710,82 @@ async function mainLoop() {
   }
 }
 
+async function runCommand(name) {
+  const command = cliCommands[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n`);
+    printUsage();
+    return 2;
+  }
+  if (!(await validateEnvAndInitClient())) return 1;
+  if (cliFlags.token && !(await signInWithAccessToken(cliFlags.token)))
+    return 1;
+  if (
+    !cliFlags.token &&
+    cliFlags.email &&
+    !(await signInWithPassword(cliFlags.email, cliFlags.password || ""))
+  )
+    return 1;
+  if (command.writes && !(await confirmProductionWrite())) return 1;
+  await command.func();
+  return errorCount ? 1 : 0;
+}
+
 async function start() {
-  console.clear();
+  let args;
+  try {
+    args = parseArgs({ options: CLI_OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(`${e.message}\n`);
+    printUsage();
+    process.exitCode = 2;
+    return;
+  }
+  if (args.values.help) {
+    printUsage();
+    return;
+  }
+  const badVar = args.values.var?.find((pair) => !(pair.indexOf("=") > 0));
+  if (badVar !== undefined) {
+    console.error(`Invalid --var '${badVar}': expected name=value.\n`);
+    printUsage();
+    process.exitCode = 2;
+    return;
+  }
+  if (args.values.profile) {
+    if (!listProfiles().includes(args.values.profile)) {
+      console.error(
+        `Unknown profile '${
+          args.values.profile
+        }'. Available: ${listProfiles().join(", ")}`
+      );
+      process.exitCode = 2;
+      return;
+    }
+    loadProfile(args.values.profile);
+  }
+  httpTrace.enabled = !!(args.values.verbose || args.values.har);
+  httpTrace.verbose = !!args.values.verbose;
+  if (args.positionals.length) {
+    cliFlags = args.values;
+    process.exitCode = await runCommand(args.positionals[0]);
+    // Written even when the command fails, since that is when it matters.
+    if (
+      cliFlags.har &&
+      cliCommands[args.positionals[0]] &&
+      !writeHar(cliFlags.har)
+    )
+      process.exitCode = 1;
+    return;
+  }
+
+  clearScreen();
   log(COLORS.blue, "🚀", "Supabase Storage Debug Tool Initializing...");
   if (!(await validateEnvAndInitClient())) {
     logError(
       "Setup failed. Cannot proceed. Please check your .env file and Supabase project status."
     );
-    rl.close();
+    closePrompt();
     return;
   }
   await mainLoop();
@@ -825,5 +6796,6 @@ start().catch((error) => {
     `${COLORS.bgRed}${COLORS.bright}FATAL UNHANDLED EXCEPTION:${COLORS.reset}`
   );
   console.error(error);
-  rl.close();
+  closePrompt();
+  process.exitCode = 1;
 });
@@ -0,0 +1,677 @@
+import http from "http";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+// In-memory stand-in for the Supabase Storage REST API, so the debug tool can
+// be exercised without a live project. Only the endpoints the tool calls are
+// implemented, and no RLS is enforced: use injectFault() to simulate denials.
+
+const DEFAULT_PORT = 54329;
+const STORAGE_PREFIX = "/storage/v1";
+const DEFAULT_BUCKETS = [
+  { name: "public-bucket", public: true },
+  { name: "private-bucket", public: false },
+];
+const CORS_HEADERS = {
+  "access-control-allow-origin": "*",
+  "access-control-allow-methods":
+    "GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS",
+  "access-control-allow-headers":
+    "authorization, x-client-info, apikey, content-type, cache-control, x-upsert, tus-resumable, upload-length, upload-metadata, upload-offset",
+};
+
+export const MOCK_SERVICE_KEY = "mock-service-role-key";
+export const MOCK_ANON_KEY = "mock-anon-key";
+
+class StorageError extends Error {
+  constructor(status, error, message, code) {
+    super(message);
+    this.status = status;
+    this.error = error;
+    this.code = code;
+  }
+}
+
+// Same body storage-api sends when a bucket or global size limit is hit.
+const entityTooLarge = () =>
+  new StorageError(
+    413,
+    "Payload too large",
+    "The object exceeded the maximum allowed size",
+    "EntityTooLarge"
+  );
+
+const notFound = (what = "Object") =>
+  new StorageError(404, "not_found", `${what} not found`);
+
+function createState() {
+  const state = { buckets: new Map(), objects: new Map(), uploads: new Map() };
+  DEFAULT_BUCKETS.forEach((bucket) => addBucket(state, bucket));
+  return state;
+}
+
+function addBucket(state, settings) {
+  const now = new Date().toISOString();
+  state.buckets.set(settings.name, {
+    id: settings.id || settings.name,
+    name: settings.name,
+    owner: "",
+    public: !!settings.public,
+    file_size_limit: settings.file_size_limit ?? null,
+    allowed_mime_types: settings.allowed_mime_types ?? null,
+    created_at: now,
+    updated_at: now,
+  });
+}
+
+const objectKey = (bucket, objectPath) => `${bucket}/${objectPath}`;
+// Same rule as storage-api: only S3-safe characters are accepted in keys.
+const VALID_KEY_PATTERN = /^(\w|\/|!|-|\.|\*|'|\(|\)| |&|\$|@|=|;|:|\+|,|\?)+$/;
+
+function getBucket(state, name) {
+  const bucket = state.buckets.get(name);
+  if (!bucket)
+    throw new StorageError(404, "Bucket not found", "Bucket not found");
+  return bucket;
+}
+
+function getObject(state, bucket, objectPath) {
+  getBucket(state, bucket);
+  const object = state.objects.get(objectKey(bucket, objectPath));
+  if (!object) throw notFound();
+  return object;
+}
+
+function mimeAllowed(allowed, contentType) {
+  if (!allowed?.length) return true;
+  const type = contentType.split(";")[0].trim();
+  return allowed.some(
+    (pattern) =>
+      pattern === type ||
+      pattern === "*/*" ||
+      (pattern.endsWith("/*") && type.startsWith(pattern.slice(0, -1)))
+  );
+}
+
+function putObject(state, bucketName, objectPath, body, headers, upsert) {
+  const bucket = getBucket(state, bucketName);
+  const key = objectKey(bucketName, objectPath);
+  const contentType = headers["content-type"] || "application/octet-stream";
+  if (!VALID_KEY_PATTERN.test(objectPath))
+    throw new StorageError(400, "InvalidKey", `Invalid key: ${objectPath}`);
+  if (!upsert && state.objects.has(key))
+    throw new StorageError(409, "Duplicate", "The resource already exists");
+  if (!mimeAllowed(bucket.allowed_mime_types, contentType))
+    throw new StorageError(
+      415,
+      "invalid_mime_type",
+      `mime type ${contentType} is not supported`
+    );
+  if (bucket.file_size_limit && body.length > bucket.file_size_limit)
+    throw entityTooLarge();
+
+  const now = new Date().toISOString();
+  const existing = state.objects.get(key);
+  state.objects.set(key, {
+    id: existing?.id || crypto.randomUUID(),
+    data: body,
+    contentType,
+    cacheControl: headers["cache-control"] || "max-age=3600",
+    eTag: `"${crypto.createHash("md5").update(body).digest("hex")}"`,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+  });
+  return { Id: state.objects.get(key).id, Key: key };
+}
+
+function listObjects(state, bucketName, options) {
+  getBucket(state, bucketName);
+  const {
+    prefix = "",
+    limit = 100,
+    offset = 0,
+    search = "",
+    sortBy = { column: "name", order: "asc" },
+  } = options;
+  const base = `${bucketName}/${
+    prefix ? `${prefix.replace(/\/+$/, "")}/` : ""
+  }`;
+  const entries = new Map();
+  for (const [key, object] of state.objects) {
+    if (!key.startsWith(base)) continue;
+    const [name, ...rest] = key.slice(base.length).split("/");
+    if (search && !name.toLowerCase().includes(search.toLowerCase())) continue;
+    if (rest.length) {
+      if (!entries.has(name))
+        entries.set(name, {
+          name,
+          id: null,
+          updated_at: null,
+          created_at: null,
+          last_accessed_at: null,
+          metadata: null,
+        });
+      continue;
+    }
+    entries.set(name, {
+      name,
+      id: object.id,
+      updated_at: object.updated_at,
+      created_at: object.created_at,
+      last_accessed_at: object.updated_at,
+      metadata: objectMetadata(object),
+    });
+  }
+  const direction = sortBy.order === "desc" ? -1 : 1;
+  return [...entries.values()]
+    .sort(
+      (a, b) =>
+        String(a[sortBy.column] ?? "").localeCompare(
+          String(b[sortBy.column] ?? "")
+        ) * direction
+    )
+    .slice(offset, offset + limit);
+}
+
+const objectMetadata = (object) => ({
+  eTag: object.eTag,
+  size: object.data.length,
+  mimetype: object.contentType,
+  cacheControl: object.cacheControl,
+  lastModified: object.updated_at,
+  contentLength: object.data.length,
+  httpStatusCode: 200,
+});
+
+const encodeToken = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+function decodeToken(token) {
+  try {
+    return JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function verifySignedToken(token, bucket, objectPath, type) {
+  const payload = token && decodeToken(token);
+  if (!payload || payload.url !== objectKey(bucket, objectPath))
+    throw new StorageError(400, "InvalidSignature", "invalid signature");
+  if (payload.type !== type || payload.exp * 1000 < Date.now())
+    throw new StorageError(400, "InvalidJWT", "jwt expired");
+}
+
+function signUrl(bucket, objectPath, expiresIn, type = "download") {
+  const token = encodeToken({
+    url: objectKey(bucket, objectPath),
+    type,
+    exp: Math.floor(Date.now() / 1000) + Number(expiresIn),
+  });
+  // Returned unencoded, like storage-api; storage-js runs encodeURI over it.
+  return `${bucket}/${objectPath}?token=${token}`;
+}
+
+function decodeJwtSubject(authorization) {
+  const token = authorization?.replace(/^Bearer /i, "");
+  const payload = token && decodeToken(token.split(".")[1] || "");
+  return payload?.sub ? payload : null;
+}
+
+function parseTusMetadata(header = "") {
+  return Object.fromEntries(
+    header
+      .split(",")
+      .filter(Boolean)
+      .map((pair) => {
+        const [key, value = ""] = pair.trim().split(" ");
+        return [key, Buffer.from(value, "base64").toString("utf8")];
+      })
+  );
+}
+
+function handleStorageRequest(state, req, body, query) {
+  const { method } = req;
+  const pathname = decodeURIComponent(req.path.slice(STORAGE_PREFIX.length));
+  const json = () => JSON.parse(body.toString("utf8") || "{}");
+  let match;
+
+  if (pathname === "/bucket" && method === "GET")
+    return { json: [...state.buckets.values()] };
+  if (pathname === "/bucket" && method === "POST") {
+    const settings = json();
+    if (state.buckets.has(settings.name))
+      throw new StorageError(409, "Duplicate", "The resource already exists");
+    addBucket(state, settings);
+    return { json: { name: settings.name } };
+  }
+  if (
+    (match = pathname.match(/^\/bucket\/([^/]+)\/empty$/)) &&
+    method === "POST"
+  ) {
+    getBucket(state, match[1]);
+    for (const key of state.objects.keys())
+      if (key.startsWith(`${match[1]}/`)) state.objects.delete(key);
+    return { json: { message: "Successfully emptied" } };
+  }
+  if ((match = pathname.match(/^\/bucket\/([^/]+)$/))) {
+    const bucket = getBucket(state, match[1]);
+    if (method === "GET") return { json: bucket };
+    if (method === "PUT") {
+      const settings = json();
+      Object.assign(bucket, {
+        public: !!settings.public,
+        file_size_limit: settings.file_size_limit ?? null,
+        allowed_mime_types: settings.allowed_mime_types ?? null,
+        updated_at: new Date().toISOString(),
+      });
+      return { json: { message: "Successfully updated" } };
+    }
+    if (method === "DELETE") {
+      if (
+        [...state.objects.keys()].some((key) => key.startsWith(`${match[1]}/`))
+      )
+        throw new StorageError(
+          409,
+          "InvalidRequest",
+          "The bucket you tried to delete is not empty"
+        );
+      state.buckets.delete(match[1]);
+      return { json: { message: "Successfully deleted" } };
+    }
+  }
+
+  if (
+    (pathname === "/object/move" || pathname === "/object/copy") &&
+    method === "POST"
+  ) {
+    const { bucketId, sourceKey, destinationKey, destinationBucket } = json();
+    const toBucket = destinationBucket || bucketId;
+    const object = getObject(state, bucketId, sourceKey);
+    getBucket(state, toBucket);
+    const destination = objectKey(toBucket, destinationKey);
+    if (state.objects.has(destination))
+      throw new StorageError(409, "Duplicate", "The resource already exists");
+    const now = new Date().toISOString();
+    state.objects.set(destination, {
+      ...object,
+      id: crypto.randomUUID(),
+      created_at: now,
+      updated_at: now,
+    });
+    if (pathname === "/object/copy") return { json: { Key: destination } };
+    state.objects.delete(objectKey(bucketId, sourceKey));
+    return { json: { message: "Successfully moved" } };
+  }
+  if (
+    (match = pathname.match(/^\/object\/list\/([^/]+)$/)) &&
+    method === "POST"
+  )
+    return { json: listObjects(state, match[1], json()) };
+  if ((match = pathname.match(/^\/object\/info\/([^/]+)\/(.+)$/))) {
+    const object = getObject(state, match[1], match[2]);
+    return {
+      json: {
+        id: object.id,
+        name: match[2],
+        bucket_id: match[1],
+        version: object.eTag,
+        size: object.data.length,
+        content_type: object.contentType,
+        cache_control: object.cacheControl,
+        etag: object.eTag,
+        last_modified: object.updated_at,
+        created_at: object.created_at,
+        metadata: {},
+      },
+    };
+  }
+  if (
+    (match = pathname.match(/^\/object\/sign\/([^/]+)$/)) &&
+    method === "POST"
+  ) {
+    const { expiresIn, paths } = json();
+    return {
+      json: paths.map((objectPath) => {
+        const exists = state.objects.has(objectKey(match[1], objectPath));
+        return {
+          path: objectPath,
+          error: exists
+            ? null
+            : "Either the object does not exist or you do not have access to it",
+          signedURL: exists
+            ? `/object/sign/${signUrl(match[1], objectPath, expiresIn)}`
+            : null,
+        };
+      }),
+    };
+  }
+  if ((match = pathname.match(/^\/object\/sign\/([^/]+)\/(.+)$/))) {
+    if (method === "POST") {
+      const { expiresIn, transform } = json();
+      getObject(state, match[1], match[2]);
+      const endpoint = transform ? "/render/image/sign" : "/object/sign";
+      return {
+        json: {
+          signedURL: `${endpoint}/${signUrl(match[1], match[2], expiresIn)}`,
+        },
+      };
+    }
+    verifySignedToken(query.get("token"), match[1], match[2], "download");
+    return { object: getObject(state, match[1], match[2]) };
+  }
+  if ((match = pathname.match(/^\/object\/upload\/sign\/([^/]+)\/(.+)$/))) {
+    if (method === "POST")
+      return {
+        json: {
+          url: `/object/upload/sign/${signUrl(
+            match[1],
+            match[2],
+            7200,
+            "upload"
+          )}`,
+        },
+      };
+    verifySignedToken(query.get("token"), match[1], match[2], "upload");
+    putObject(
+      state,
+      match[1],
+      match[2],
+      body,
+      req.headers,
+      req.headers["x-upsert"] === "true"
+    );
+    return { json: { Key: objectKey(match[1], match[2]) } };
+  }
+  if (
+    pathname.startsWith("/object/public/") &&
+    !pathname.match(/^\/object\/public\/[^/]+\/./)
+  )
+    throw new StorageError(
+      400,
+      "InvalidRequest",
+      "Missing bucket or object name"
+    );
+  if ((match = pathname.match(/^\/object\/public\/([^/]+)\/(.+)$/))) {
+    if (!getBucket(state, match[1]).public) throw notFound("Bucket");
+    return { object: getObject(state, match[1], match[2]) };
+  }
+  if ((match = pathname.match(/^\/object\/authenticated\/([^/]+)\/(.+)$/)))
+    return { object: getObject(state, match[1], match[2]) };
+  if (pathname.startsWith("/render/image/"))
+    throw new StorageError(
+      400,
+      "FeatureNotEnabled",
+      "Image transformation feature is not enabled for this tenant"
+    );
+  if ((match = pathname.match(/^\/object\/([^/]+)$/)) && method === "DELETE") {
+    const { prefixes } = json();
+    getBucket(state, match[1]);
+    const removed = [];
+    for (const objectPath of prefixes) {
+      const key = objectKey(match[1], objectPath);
+      const object = state.objects.get(key);
+      if (!object) continue;
+      state.objects.delete(key);
+      removed.push({
+        name: objectPath,
+        bucket_id: match[1],
+        id: object.id,
+        metadata: objectMetadata(object),
+      });
+    }
+    return { json: removed };
+  }
+  if ((match = pathname.match(/^\/object\/([^/]+)\/(.+)$/))) {
+    if (method === "POST" || method === "PUT")
+      return {
+        json: putObject(
+          state,
+          match[1],
+          match[2],
+          body,
+          req.headers,
+          method === "PUT" || req.headers["x-upsert"] === "true"
+        ),
+      };
+    if (method === "GET" || method === "HEAD")
+      return { object: getObject(state, match[1], match[2]) };
+  }
+
+  if (pathname === "/upload/resumable" && method === "POST") {
+    const length = Number(req.headers["upload-length"]);
+    const metadata = parseTusMetadata(req.headers["upload-metadata"]);
+    const bucket = getBucket(state, metadata.bucketName);
+    if (bucket.file_size_limit && length > bucket.file_size_limit)
+      throw entityTooLarge();
+    const id = crypto.randomUUID();
+    state.uploads.set(id, {
+      length,
+      metadata,
+      upsert: req.headers["x-upsert"] === "true",
+      chunks: [],
+      offset: 0,
+    });
+    return {
+      status: 201,
+      headers: { location: `${STORAGE_PREFIX}/upload/resumable/${id}` },
+    };
+  }
+  if ((match = pathname.match(/^\/upload\/resumable\/([^/]+)$/))) {
+    const upload = state.uploads.get(match[1]);
+    if (!upload) throw notFound("Upload");
+    if (method === "PATCH") {
+      if (Number(req.headers["upload-offset"]) !== upload.offset)
+        throw new StorageError(409, "Conflict", "Upload-Offset does not match");
+      upload.chunks.push(body);
+      upload.offset += body.length;
+      if (upload.offset >= upload.length) {
+        const { bucketName, objectName, contentType, cacheControl } =
+          upload.metadata;
+        putObject(
+          state,
+          bucketName,
+          objectName,
+          Buffer.concat(upload.chunks),
+          {
+            "content-type": contentType,
+            "cache-control": `max-age=${cacheControl}`,
+          },
+          upload.upsert
+        );
+      }
+      return {
+        status: 204,
+        headers: { "upload-offset": String(upload.offset) },
+      };
+    }
+    return {
+      status: 200,
+      headers: {
+        "upload-offset": String(upload.offset),
+        "upload-length": String(upload.length),
+      },
+    };
+  }
+  throw new StorageError(
+    404,
+    "not_found",
+    `No route for ${method} ${pathname}`
+  );
+}
+
+function handleAuthRequest(req) {
+  if (req.path === "/auth/v1/user") {
+    const claims = decodeJwtSubject(req.headers.authorization);
+    if (!claims)
+      throw new StorageError(
+        401,
+        "invalid_jwt",
+        "invalid JWT: unable to parse or verify signature"
+      );
+    return {
+      json: {
+        id: claims.sub,
+        email: claims.email,
+        role: claims.role || "authenticated",
+        aud: "authenticated",
+      },
+    };
+  }
+  throw new StorageError(
+    404,
+    "not_found",
+    `No route for ${req.method} ${req.path}`
+  );
+}
+
+// A null override drops the header, like a proxy stripping it.
+function applyHeaderOverrides(headers, overrides = {}) {
+  const merged = { ...headers, ...overrides };
+  Object.keys(merged).forEach((name) => {
+    if (merged[name] === null) delete merged[name];
+  });
+  return merged;
+}
+
+function sendObject(res, req, object, overrides, stallBody) {
+  const headers = applyHeaderOverrides(
+    {
+      ...CORS_HEADERS,
+      "content-type": object.contentType,
+      "content-length": object.data.length,
+      "cache-control": object.cacheControl,
+      etag: object.eTag,
+      "last-modified": new Date(object.updated_at).toUTCString(),
+    },
+    overrides
+  );
+  if (req.headers["if-none-match"] === object.eTag) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+  res.writeHead(200, headers);
+  // Send the headers and one byte, then hang like a slow download.
+  if (stallBody) return res.write(object.data.subarray(0, 1));
+  res.end(req.method === "HEAD" ? undefined : object.data);
+}
+
+export async function startMockStorageServer({ port = 0, faults = [] } = {}) {
+  let state = createState();
+  let activeFaults = [...faults];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      req.path = url.pathname;
+      requests.push(`${req.method} ${req.path}`);
+
+      const fault = activeFaults.find((f) =>
+        f.match.test(`${req.method} ${req.path}`)
+      );
+      if (fault?.once) activeFaults = activeFaults.filter((f) => f !== fault);
+      // A fault with only `headers` lets the request through, like a CDN
+      // rewriting what storage served.
+      if (fault && !fault.headers && !fault.stallBody) {
+        // Never answer: the client's own timeout has to fire.
+        if (fault.timeout) return;
+        res.writeHead(fault.status, {
+          "content-type": "application/json",
+          ...CORS_HEADERS,
+        });
+        return res.end(
+          JSON.stringify({
+            statusCode: String(fault.status),
+            error: fault.error || "Injected",
+            message: fault.message,
+          })
+        );
+      }
+
+      if (req.method === "OPTIONS") {
+        res.writeHead(200, CORS_HEADERS);
+        return res.end();
+      }
+      try {
+        const body = Buffer.concat(chunks);
+        const result = req.path.startsWith(STORAGE_PREFIX)
+          ? handleStorageRequest(state, req, body, url.searchParams)
+          : req.path.startsWith("/auth/v1")
+          ? handleAuthRequest(req)
+          : { json: { msg: "Supabase storage stand-in" } };
+        if (result.object)
+          return sendObject(
+            res,
+            req,
+            result.object,
+            fault?.headers,
+            fault?.stallBody
+          );
+        res.writeHead(
+          result.status || 200,
+          applyHeaderOverrides(
+            {
+              ...CORS_HEADERS,
+              ...(result.json && { "content-type": "application/json" }),
+              ...result.headers,
+            },
+            fault?.headers
+          )
+        );
+        res.end(result.json ? JSON.stringify(result.json) : undefined);
+      } catch (e) {
+        const status = e instanceof StorageError ? e.status : 500;
+        res.writeHead(status, {
+          "content-type": "application/json",
+          ...CORS_HEADERS,
+        });
+        res.end(
+          JSON.stringify({
+            statusCode: String(status),
+            ...(e.code && { code: e.code }),
+            error: e.error || "internal",
+            message: e.message,
+          })
+        );
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    injectFault: (fault) => activeFaults.push(fault),
+    clearFaults: () => (activeFaults = []),
+    reset: () => {
+      state = createState();
+      activeFaults = [];
+      requests.length = 0;
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  // Faults come from MOCK_STORAGE_FAULTS as JSON, e.g.
+  // [{"match": "GET /storage/v1/bucket", "status": 401, "message": "Invalid JWT"}]
+  const faults = JSON.parse(process.env.MOCK_STORAGE_FAULTS || "[]").map(
+    (fault) => ({ ...fault, match: new RegExp(fault.match) })
+  );
+  const server = await startMockStorageServer({
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    faults,
+  });
+  console.log(`Supabase storage stand-in listening on ${server.url}\n`);
+  console.log("Point the debug tool at it with:");
+  console.log(`  NEXT_PUBLIC_SUPABASE_URL=${server.url}`);
+  console.log(`  SUPABASE_SERVICE_ROLE_KEY=${MOCK_SERVICE_KEY}`);
+  console.log(`  NEXT_PUBLIC_SUPABASE_ANON_KEY=${MOCK_ANON_KEY}`);
+}
@@ -0,0 +1,1436 @@
+import {
+  test,
+  describe,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  startMockStorageServer,
+  MOCK_ANON_KEY,
+  MOCK_SERVICE_KEY,
+} from "./mock-storage-server.mjs";
+
+// Runs the debug tool as a child process against the local storage stand-in,
+// the same way CI would, and asserts on its exit code and output.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TOOL_PATH = path.join(__dirname, "debug-supabase-storage.mjs");
+const TEXT_PATH = "supabase-debug-tool/text/debug-text.txt";
+
+// Every question ends in a colour reset and a space, and log lines in a newline.
+const PROMPT_PATTERN = /\x1b\[0m $/;
+
+let server;
+let workDir;
+
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;]*m/g, "");
+
+function toolEnv(env) {
+  const base = { ...process.env };
+  [
+    "NEXT_PUBLIC_SUPABASE_URL",
+    "NEXT_PUBLIC_SUPABASE_ANON_KEY",
+    "SUPABASE_SERVICE_ROLE_KEY",
+    "SUPABASE_USER_ACCESS_TOKEN",
+    "SUPABASE_DEBUG_PRODUCTION",
+  ].forEach((key) => delete base[key]);
+  return {
+    ...base,
+    NEXT_PUBLIC_SUPABASE_URL: server.url,
+    NEXT_PUBLIC_SUPABASE_ANON_KEY: MOCK_ANON_KEY,
+    SUPABASE_SERVICE_ROLE_KEY: MOCK_SERVICE_KEY,
+    ...env,
+  };
+}
+
+function runTool(args, { env = {}, input = [] } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [TOOL_PATH, ...args], {
+      cwd: workDir,
+      env: toolEnv(env),
+    });
+    let stdout = "";
+    const pending = [...input];
+    let answeredAt = 0;
+    // Answers are written one prompt at a time: readline drops lines that
+    // arrive while no question is pending.
+    const onData = (chunk) => {
+      stdout += chunk;
+      if (pending.length && PROMPT_PATTERN.test(stdout.slice(answeredAt))) {
+        answeredAt = stdout.length;
+        child.stdin.write(`${pending.shift()}\n`);
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    const timer = setTimeout(() => child.kill(), 60000);
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout: stripAnsi(stdout) });
+    });
+  });
+}
+
+const fakeJwt = (claims) =>
+  [{ alg: "HS256", typ: "JWT" }, claims]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString("base64url"))
+    .concat("signature")
+    .join(".");
+
+async function uploadText(bucket = "public-bucket") {
+  const result = await runTool(["upload", "-b", bucket, "--type", "text"]);
+  assert.equal(result.code, 0, result.stdout);
+}
+
+before(async () => {
+  server = await startMockStorageServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.reset();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "supabase-debug-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("command line", () => {
+  test("--help prints usage and exits 0", async () => {
+    const { code, stdout } = await runTool(["--help"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /connectivity/);
+    assert.match(stdout, /bucket-delete/);
+  });
+
+  test("unknown commands exit 2", async () => {
+    const { code, stdout } = await runTool(["nope"]);
+    assert.equal(code, 2);
+    assert.match(stdout, /Unknown command: nope/);
+  });
+
+  test("missing URL fails validation", async () => {
+    const { code, stdout } = await runTool(["list-buckets"], {
+      env: { NEXT_PUBLIC_SUPABASE_URL: "" },
+    });
+    assert.equal(code, 1);
+    assert.match(stdout, /NEXT_PUBLIC_SUPABASE_URL/);
+  });
+});
+
+describe("menu actions", () => {
+  test("connectivity", async () => {
+    const { code, stdout } = await runTool(["connectivity"]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Storage API accessible\. Found 2 buckets/);
+  });
+
+  test("list-buckets", async () => {
+    const { code, stdout } = await runTool(["list-buckets"]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Name: public-bucket/);
+    assert.match(stdout, /Name: private-bucket/);
+  });
+
+  test("upload generated text and image files", async () => {
+    for (const type of ["text", "image"]) {
+      const { code, stdout } = await runTool([
+        "upload",
+        "-b",
+        "public-bucket",
+        "--type",
+        type,
+      ]);
+      assert.equal(code, 0, stdout);
+      assert.match(stdout, /Upload SUCCEEDED/);
+      assert.match(stdout, /Round-trip OK/);
+    }
+  });
+
+  test("upload a custom file", async () => {
+    const file = path.join(workDir, "notes.md");
+    fs.writeFileSync(file, "# notes\n");
+    const { code, stdout } = await runTool([
+      "upload",
+      "-b",
+      "private-bucket",
+      "-f",
+      file,
+      "-p",
+      "fixtures/notes.md",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Round-trip OK: 8 bytes/);
+  });
+
+  test("upload sniffs the real type of a renamed file", async () => {
+    const file = path.join(workDir, "photo.jpg");
+    fs.writeFileSync(
+      file,
+      Buffer.concat([Buffer.from("89504e470d0a1a0a", "hex"), Buffer.alloc(16)])
+    );
+    const { code, stdout } = await runTool([
+      "upload",
+      "-b",
+      "public-bucket",
+      "-f",
+      file,
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(
+      stdout,
+      /MIME mismatch: extension says image\/jpeg, file content says image\/png/
+    );
+    assert.match(stdout, /Type: image\/png/);
+  });
+
+  test("upload pre-checks the bucket's MIME and size limits", async () => {
+    const create = await runTool([
+      "bucket-create",
+      "-b",
+      "strict",
+      "--mime-types",
+      "image/*",
+      "--size-limit",
+      "16B",
+      "--yes",
+    ]);
+    assert.equal(create.code, 0, create.stdout);
+    const file = path.join(workDir, "report");
+    fs.writeFileSync(file, "%PDF-1.7 not really a pdf");
+    const { code, stdout } = await runTool([
+      "upload",
+      "-b",
+      "strict",
+      "-f",
+      file,
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /extension: unknown, content: application\/pdf/);
+    assert.match(
+      stdout,
+      /'application\/pdf' is not in allowed_mime_types \(image\/\*\): expect 415/
+    );
+    assert.match(stdout, /exceeds file_size_limit \(16 Bytes\): expect 413/);
+    assert.match(stdout, /rejection matches the pre-check prediction/);
+  });
+
+  test("list-files walks folders recursively", async () => {
+    await uploadText();
+    const { code, stdout } = await runTool([
+      "list-files",
+      "-b",
+      "public-bucket",
+      "-r",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Found 1 files/);
+    assert.match(stdout, /debug-text\.txt/);
+  });
+
+  test("public URL check settles on the response headers", async () => {
+    server.injectFault({
+      match: /^GET \/storage\/v1\/object\/public\//,
+      stallBody: true,
+    });
+    const { code, stdout } = await runTool([
+      "upload",
+      "-b",
+      "public-bucket",
+      "--type",
+      "text",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Public URL accessible \(Status: 200\)/);
+  });
+
+  test("download", async () => {
+    await uploadText();
+    const { code, stdout } = await runTool([
+      "download",
+      "-b",
+      "public-bucket",
+      "-p",
+      TEXT_PATH,
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Download SUCCEEDED/);
+  });
+
+  test("diagnostics writes JSON and JUnit reports", async () => {
+    const json = await runTool(["diagnostics", "--report", "report.json"]);
+    assert.equal(json.code, 0, json.stdout);
+    const report = JSON.parse(
+      fs.readFileSync(path.join(workDir, "report.json"), "utf8")
+    );
+    assert.ok(report.checks.length > 0);
+    assert.ok(report.checks.every((check) => check.status !== "failed"));
+
+    const xml = await runTool(["connectivity", "--report", "report.xml"]);
+    assert.equal(xml.code, 0, xml.stdout);
+    assert.match(
+      fs.readFileSync(path.join(workDir, "report.xml"), "utf8"),
+      /<testsuite [^>]*failures="0"/
+    );
+  });
+
+  test("permissions builds a matrix per identity", async () => {
+    const { code, stdout } = await runTool([
+      "permissions",
+      "-b",
+      "private-bucket",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /anon\s+ALLOW/);
+    assert.match(stdout, /service_role\s+ALLOW/);
+  });
+
+  test("signed-url works where the public URL fails", async () => {
+    await uploadText("private-bucket");
+    const { code, stdout } = await runTool([
+      "signed-url",
+      "-b",
+      "private-bucket",
+      "-p",
+      TEXT_PATH,
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Signed access WORKS where the public URL fails/);
+  });
+
+  test("signed-upload", async () => {
+    const { code, stdout } = await runTool([
+      "signed-upload",
+      "-b",
+      "private-bucket",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Signed upload SUCCEEDED/);
+    assert.match(stdout, /Test object .* removed/);
+    const list = await runTool(["list-files", "-b", "private-bucket", "-r"]);
+    assert.match(list.stdout, /No files or folders found/);
+  });
+
+  test("signed-upload refuses to overwrite an existing object", async () => {
+    await uploadText("private-bucket");
+    const { code, stdout } = await runTool([
+      "signed-upload",
+      "-b",
+      "private-bucket",
+      "--path",
+      TEXT_PATH,
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /already exists/);
+    assert.doesNotMatch(stdout, /removed/);
+    const download = await runTool([
+      "download",
+      "-b",
+      "private-bucket",
+      "-p",
+      TEXT_PATH,
+    ]);
+    assert.equal(download.code, 0, download.stdout);
+  });
+
+  test("resumable upload survives an interruption", async () => {
+    const { code, stdout } = await runTool([
+      "resumable",
+      "-b",
+      "private-bucket",
+      "--size",
+      "2",
+      "--chunk-size",
+      "1",
+      "--interrupt-at",
+      "1",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Simulated interruption/);
+    assert.match(stdout, /Resumable upload SUCCEEDED/);
+  });
+
+  test("resumable upload refuses to overwrite an existing object", async () => {
+    await uploadText("private-bucket");
+    const { code, stdout } = await runTool([
+      "resumable",
+      "-b",
+      "private-bucket",
+      "--size",
+      "1",
+      "--path",
+      TEXT_PATH,
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /already exists/);
+    assert.doesNotMatch(stdout, /Upload created|removed/);
+  });
+
+  test("resumable upload fails when Upload-Offset is stripped", async () => {
+    server.injectFault({
+      match: /^PATCH \/storage\/v1\/upload\/resumable\//,
+      headers: { "upload-offset": null },
+    });
+    const { code, stdout } = await runTool([
+      "resumable",
+      "-b",
+      "private-bucket",
+      "--size",
+      "1",
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /TUS protocol failure at offset 0/);
+    assert.doesNotMatch(stdout, /SUCCEEDED/);
+    assert.match(stdout, /Test object .* removed/);
+  });
+
+  test("benchmark", async () => {
+    const { code, stdout } = await runTool([
+      "benchmark",
+      "-b",
+      "private-bucket",
+      "--iterations",
+      "2",
+      "--sizes",
+      "1KB",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Benchmark objects removed/);
+  });
+
+  test("benchmark and sync reject counts below 1", async () => {
+    const benchmark = await runTool([
+      "benchmark",
+      "-b",
+      "private-bucket",
+      "--concurrency=-2",
+    ]);
+    assert.equal(benchmark.code, 1, benchmark.stdout);
+    assert.match(benchmark.stdout, /Invalid concurrency '-2'/);
+    assert.doesNotMatch(benchmark.stdout, /Benchmarking/);
+
+    const sync = await runTool([
+      "sync",
+      "--dir",
+      workDir,
+      "-b",
+      "private-bucket",
+      "--concurrency",
+      "0",
+    ]);
+    assert.equal(sync.code, 1, sync.stdout);
+    assert.match(sync.stdout, /Invalid concurrency '0'/);
+  });
+
+  test("cors", async () => {
+    await uploadText();
+    const { code, stdout } = await runTool([
+      "cors",
+      "-b",
+      "public-bucket",
+      "-p",
+      TEXT_PATH,
+      "--origins",
+      "http://localhost:3000",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.doesNotMatch(stdout, /BLOCKED/);
+  });
+
+  test("transform gives up on a stalled render endpoint", async () => {
+    await runTool(["upload", "-b", "public-bucket", "--type", "image"]);
+    server.injectFault({
+      match: /^GET \/storage\/v1\/render\/image\//,
+      timeout: true,
+    });
+    const { code, stdout } = await runTool([
+      "transform",
+      "-b",
+      "public-bucket",
+      "-p",
+      "supabase-debug-tool/image/debug-image.png",
+      "--width",
+      "10",
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /no response within 10s/);
+  });
+
+  test("transform reports disabled transformations", async () => {
+    await runTool(["upload", "-b", "public-bucket", "--type", "image"]);
+    const { code, stdout } = await runTool([
+      "transform",
+      "-b",
+      "public-bucket",
+      "-p",
+      "supabase-debug-tool/image/debug-image.png",
+      "--width",
+      "10",
+    ]);
+    assert.equal(code, 1);
+    assert.match(stdout, /appear disabled or unsupported/);
+  });
+
+  test("bucket lifecycle with enforcement check", async () => {
+    const create = await runTool([
+      "bucket-create",
+      "-b",
+      "limited",
+      "--public",
+      "no",
+      "--size-limit",
+      "1KB",
+      "--mime-types",
+      "text/plain",
+      "-y",
+    ]);
+    assert.equal(create.code, 0, create.stdout);
+    assert.match(create.stdout, /Disallowed MIME type: rejected as expected/);
+    assert.match(create.stdout, /Oversized file .*: rejected as expected/);
+
+    for (const command of ["bucket-verify", "bucket-empty", "bucket-delete"]) {
+      const { code, stdout } = await runTool([command, "-b", "limited", "-y"]);
+      assert.equal(code, 0, stdout);
+    }
+    const list = await runTool(["list-buckets"]);
+    assert.doesNotMatch(list.stdout, /Name: limited/);
+  });
+
+  test("enforcement check does not count RLS denials as proof", async () => {
+    await runTool([
+      "bucket-create",
+      "-b",
+      "limited",
+      "--size-limit",
+      "1KB",
+      "--mime-types",
+      "text/plain",
+      "-y",
+    ]);
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/limited\//,
+      status: 403,
+      error: "Unauthorized",
+      message: "new row violates row-level security policy",
+    });
+    const { code, stdout } = await runTool(["bucket-verify", "-b", "limited"]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /Disallowed MIME type: could not verify/);
+    assert.match(stdout, /Oversized file .*: could not verify/);
+    assert.doesNotMatch(stdout, /rejected as expected/);
+  });
+
+  test("destructive commands require --yes", async () => {
+    const { code, stdout } = await runTool([
+      "bucket-delete",
+      "-b",
+      "public-bucket",
+    ]);
+    assert.equal(code, 1);
+    assert.match(stdout, /--yes/);
+  });
+
+  test("sync mirrors a folder both ways", async () => {
+    const source = path.join(workDir, "source");
+    fs.mkdirSync(path.join(source, "nested"), { recursive: true });
+    fs.writeFileSync(path.join(source, "a.txt"), "alpha");
+    fs.writeFileSync(path.join(source, "nested", "b.json"), "{}");
+    const sync = (dir, ...flags) =>
+      runTool([
+        "sync",
+        "--dir",
+        dir,
+        "-b",
+        "private-bucket",
+        "--prefix",
+        "fixtures",
+        ...flags,
+      ]);
+
+    const dryRun = await sync(source, "--dry-run");
+    assert.equal(dryRun.code, 0, dryRun.stdout);
+    assert.match(dryRun.stdout, /2 changes, 0 unchanged/);
+    assert.match(dryRun.stdout, /Dry run: nothing was changed/);
+
+    const upload = await sync(source);
+    assert.equal(upload.code, 0, upload.stdout);
+    assert.match(upload.stdout, /Uploaded: 2 files/);
+
+    fs.writeFileSync(path.join(source, "a.txt"), "ALPHA");
+    fs.rmSync(path.join(source, "nested"), { recursive: true });
+    const update = await sync(source, "--delete", "-y");
+    assert.equal(update.code, 0, update.stdout);
+    assert.match(update.stdout, /a\.txt .*content differs/);
+    assert.match(update.stdout, /Deleted: 1/);
+
+    const target = path.join(workDir, "restore");
+    const download = await sync(target, "--direction", "download");
+    assert.equal(download.code, 0, download.stdout);
+    assert.equal(fs.readFileSync(path.join(target, "a.txt"), "utf8"), "ALPHA");
+
+    const again = await sync(target, "--direction", "download");
+    assert.match(again.stdout, /Already in sync/);
+  });
+
+  test("sync download refuses keys that escape the folder", async () => {
+    // An encoded slash keeps fetch from normalising the ".." segments away.
+    const res = await fetch(
+      `${server.url}/storage/v1/object/public-bucket/fixtures/..%2F..%2Fescape.txt`,
+      {
+        method: "POST",
+        headers: {
+          apikey: MOCK_SERVICE_KEY,
+          authorization: `Bearer ${MOCK_SERVICE_KEY}`,
+          "content-type": "text/plain",
+        },
+        body: "escaped",
+      }
+    );
+    assert.equal(res.status, 200, await res.text());
+    const target = path.join(workDir, "a", "restore");
+    const { code, stdout } = await runTool([
+      "sync",
+      "--dir",
+      target,
+      "-b",
+      "public-bucket",
+      "--prefix",
+      "fixtures",
+      "--direction",
+      "download",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(
+      stdout,
+      /Skipping '\.\.\/\.\.\/escape\.txt': it would resolve outside/
+    );
+    assert.ok(!fs.existsSync(path.join(workDir, "a", "escape.txt")));
+    assert.ok(!fs.existsSync(path.join(workDir, "escape.txt")));
+  });
+
+  test("sync reports local write errors per file", async () => {
+    const source = path.join(workDir, "source");
+    fs.mkdirSync(source);
+    fs.writeFileSync(path.join(source, "x"), "blocked");
+    fs.writeFileSync(path.join(source, "y.txt"), "fine");
+    const sync = (dir, ...flags) =>
+      runTool([
+        "sync",
+        "--dir",
+        dir,
+        "-b",
+        "private-bucket",
+        "--prefix",
+        "fixtures",
+        ...flags,
+      ]);
+    assert.equal((await sync(source)).code, 0);
+
+    const target = path.join(workDir, "down");
+    fs.mkdirSync(path.join(target, "x"), { recursive: true });
+    const { code, stdout } = await sync(target, "--direction", "download");
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /download x FAILED: .*EISDIR/);
+    assert.match(stdout, /Failed: 1/);
+    assert.doesNotMatch(stdout, /UNHANDLED/);
+    assert.equal(fs.readFileSync(path.join(target, "y.txt"), "utf8"), "fine");
+  });
+
+  test("cleanup removes only debug artifacts", async () => {
+    await uploadText("public-bucket");
+    await uploadText("private-bucket");
+    const keep = path.join(workDir, "keep.txt");
+    fs.writeFileSync(keep, "keep");
+    await runTool([
+      "upload",
+      "-b",
+      "public-bucket",
+      "-f",
+      keep,
+      "-p",
+      "keep.txt",
+    ]);
+
+    const tooYoung = await runTool(["cleanup", "--older-than", "1d", "-y"]);
+    assert.equal(tooYoung.code, 0, tooYoung.stdout);
+    assert.match(tooYoung.stdout, /No debug artifacts found/);
+
+    const { code, stdout } = await runTool(["cleanup", "-y"]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Found 2 objects .* in 2 bucket\(s\)/);
+    assert.match(stdout, /Removed: 2 objects/);
+
+    const list = await runTool(["list-files", "-b", "public-bucket", "-r"]);
+    assert.match(list.stdout, /keep\.txt/);
+    assert.doesNotMatch(list.stdout, /debug-text\.txt/);
+  });
+
+  test("move-copy within and between buckets", async () => {
+    const { code, stdout } = await runTool([
+      "move-copy",
+      "-b",
+      "public-bucket",
+      "--to-bucket",
+      "private-bucket",
+      "--report",
+      "report.json",
+    ]);
+    assert.equal(code, 0, stdout);
+    const report = JSON.parse(
+      fs.readFileSync(path.join(workDir, "report.json"), "utf8")
+    );
+    assert.deepEqual(
+      report.checks.map(({ name, status }) => [name, status]),
+      [
+        ["Copy within bucket", "passed"],
+        ["Rename (move within bucket)", "passed"],
+        ["Copy to another bucket", "passed"],
+        ["Move to another bucket", "passed"],
+      ]
+    );
+    const list = await runTool(["list-files", "-b", "private-bucket", "-r"]);
+    assert.match(list.stdout, /No files or folders found/);
+  });
+
+  test("inspect compares stored metadata with served headers", async () => {
+    await uploadText("private-bucket");
+    const { code, stdout } = await runTool([
+      "inspect",
+      "-b",
+      "private-bucket",
+      "-p",
+      TEXT_PATH,
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Metadata read via info\(\)/);
+    assert.match(stdout, /Served headers \(signed URL\)/);
+    assert.match(stdout, /token=REDACTED/);
+    assert.match(stdout, /Cache-Control: max-age=3600/);
+    assert.match(stdout, /current ETag returns 304 Not Modified/);
+  });
+
+  test("edge-cases tabulates tricky object keys", async () => {
+    const { code, stdout } = await runTool([
+      "edge-cases",
+      "-b",
+      "public-bucket",
+      "--report",
+      "edge.json",
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /Spaces +PASS +PASS +PASS +PASS/);
+    assert.match(stdout, /Leading slash +PASS +PASS +PASS +PASS/);
+    assert.match(stdout, /Emoji +FAIL +– +– +–/);
+    assert.match(stdout, /Hash: upload stored as '.*\/tag'/);
+    const report = JSON.parse(
+      fs.readFileSync(path.join(workDir, "edge.json"), "utf8")
+    );
+    assert.equal(report.summary.total, 20);
+    const list = await runTool(["list-files", "-b", "public-bucket", "-r"]);
+    assert.match(list.stdout, /No files or folders found/);
+  });
+
+  test("scenario runs the bundled example", async () => {
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/public-bucket\/.*\/anon\.txt$/,
+      status: 403,
+      error: "Unauthorized",
+      message: "new row violates row-level security policy",
+    });
+    const { code, stdout } = await runTool([
+      "scenario",
+      "-f",
+      path.join(__dirname, "supabase-debug-scenario.example.yaml"),
+      "--var",
+      "bucket=public-bucket",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Anon cannot upload drafts \[as anon/);
+    assert.match(stdout, /6 passed, 0 failed, 0 warnings, 0 skipped/);
+    const list = await runTool(["list-files", "-b", "public-bucket", "-r"]);
+    assert.match(list.stdout, /No files or folders found/);
+  });
+
+  test("scenario --var overrides feed the scenario's variables", async () => {
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/public-bucket\/.*\/anon\.txt$/,
+      status: 403,
+      error: "Unauthorized",
+      message: "new row violates row-level security policy",
+    });
+    const { code, stdout } = await runTool([
+      "scenario",
+      "-f",
+      path.join(__dirname, "supabase-debug-scenario.example.yaml"),
+      "--var",
+      "bucket=public-bucket",
+      "--var",
+      "prefix=qa/override",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.ok(
+      server.requests.includes(
+        "POST /storage/v1/object/public-bucket/qa/override/drafts/avatar.txt"
+      ),
+      server.requests.join("\n")
+    );
+  });
+
+  test("scenario list pages through large prefixes", async () => {
+    const names = Array.from({ length: 1005 }, (_, i) => `file-${i}.txt`);
+    for (let i = 0; i < names.length; i += 50)
+      await Promise.all(
+        names.slice(i, i + 50).map((name) =>
+          fetch(`${server.url}/storage/v1/object/public-bucket/bulk/${name}`, {
+            method: "POST",
+            headers: {
+              apikey: MOCK_SERVICE_KEY,
+              authorization: `Bearer ${MOCK_SERVICE_KEY}`,
+              "content-type": "text/plain",
+            },
+            body: "x",
+          })
+        )
+      );
+    const file = path.join(workDir, "bulk.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        bucket: "public-bucket",
+        steps: [
+          {
+            name: "Everything is listed",
+            action: "list",
+            path: "bulk",
+            expect: { count: 1005, includes: "file-999.txt" },
+          },
+          { name: "Uses ${missing}", action: "list", path: "bulk" },
+        ],
+      })
+    );
+    const { code, stdout } = await runTool(["scenario", "-f", file]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /✅ +Everything is listed/);
+    assert.match(
+      stdout,
+      /Uses \$\{missing\}.*Undefined variable \$\{missing\}/
+    );
+  });
+
+  test("scenario rejects a --var without a value", async () => {
+    const { code, stdout } = await runTool([
+      "scenario",
+      "-f",
+      path.join(__dirname, "supabase-debug-scenario.example.yaml"),
+      "--var",
+      "bucket",
+    ]);
+    assert.equal(code, 2);
+    assert.match(stdout, /Invalid --var 'bucket': expected name=value/);
+  });
+
+  test("scenario reports unmet expectations and skips after setup fails", async () => {
+    const file = path.join(workDir, "flows.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        scenarios: [
+          {
+            name: "Expectations",
+            bucket: "public-bucket",
+            steps: [
+              {
+                name: "Upload that should be denied",
+                action: "upload",
+                path: "${prefix}/a.txt",
+                expect: { status: 403 },
+              },
+              {
+                name: "Missing object",
+                action: "download",
+                path: "${prefix}/missing.txt",
+                expect: { error: "/not found/i", category: "not_found" },
+              },
+            ],
+            teardown: [{ action: "remove", path: "${prefix}/a.txt" }],
+          },
+          {
+            name: "Broken setup",
+            bucket: "no-such-bucket",
+            setup: [{ action: "upload", path: "x.txt" }],
+            steps: [{ action: "list" }],
+          },
+        ],
+      })
+    );
+    const { code, stdout } = await runTool([
+      "scenario",
+      "-f",
+      file,
+      "--report",
+      "flows-report.json",
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /Upload that should be denied .*expected an error/);
+    assert.match(stdout, /✅ +Missing object/);
+    assert.match(stdout, /setup: upload x\.txt .*Bucket not found/);
+    assert.match(stdout, /list: skipped after a setup failure/);
+    const { summary } = JSON.parse(
+      fs.readFileSync(path.join(workDir, "flows-report.json"), "utf8")
+    );
+    assert.deepEqual(summary, {
+      total: 5,
+      passed: 2,
+      warning: 0,
+      failed: 2,
+      skipped: 1,
+    });
+  });
+
+  test("watch runs every probe and cleans up", async () => {
+    const { code, stdout } = await runTool([
+      "watch",
+      "-b",
+      "public-bucket",
+      "--interval",
+      "0.1",
+      "--count",
+      "2",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /HEALTH MONITOR · round 2/);
+    ["URL ping", "Bucket list", "R/W round trip", "Public URL"].forEach(
+      (label) => assert.match(stdout, new RegExp(`${label} +UP .*100\\.0%`))
+    );
+    assert.deepEqual(fs.readdirSync(workDir), ["supabase-storage-health.log"]);
+    const log = fs.readFileSync(
+      path.join(workDir, "supabase-storage-health.log"),
+      "utf8"
+    );
+    assert.match(log, /public unknown -> passing/);
+    const list = await runTool(["list-files", "-b", "public-bucket", "-r"]);
+    assert.match(list.stdout, /No files or folders found/);
+  });
+
+  test("interactive menu lists buckets and exits", async () => {
+    const { code, stdout } = await runTool([], { input: ["2", "", "30"] });
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Select an operation/);
+    assert.match(stdout, /Name: public-bucket/);
+  });
+});
+
+describe("http tracing", () => {
+  test("--verbose prints redacted requests and --har saves them", async () => {
+    await uploadText("private-bucket");
+    const { code, stdout } = await runTool([
+      "signed-url",
+      "-b",
+      "private-bucket",
+      "-p",
+      TEXT_PATH,
+      "--verbose",
+      "--har",
+      "trace.har",
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(
+      stdout,
+      /↳ POST .*\/storage\/v1\/object\/sign\/private-bucket\/.* → 200 OK/
+    );
+    assert.match(stdout, /> apikey: REDACTED/);
+    assert.match(stdout, /> authorization: Bearer REDACTED/);
+    assert.match(stdout, /HAR with \d+ requests written to trace\.har/);
+
+    const har = fs.readFileSync(path.join(workDir, "trace.har"), "utf8");
+    assert.ok(!har.includes(MOCK_SERVICE_KEY));
+    const { entries } = JSON.parse(har).log;
+    const signed = entries.find(
+      (e) =>
+        e.request.method === "GET" && e.request.url.includes("/object/sign/")
+    );
+    assert.ok(signed, "signed URL fetch is traced");
+    assert.deepEqual(
+      signed.request.queryString.find((q) => q.name === "token"),
+      { name: "token", value: "REDACTED" }
+    );
+    assert.ok(entries.every((e) => e.response.status > 0));
+  });
+
+  test("tracing can be toggled and exported from the menu", async () => {
+    const { code, stdout } = await runTool([], {
+      input: ["23", "", "2", "", "24", "menu.har", "", "30"],
+    });
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /HTTP tracing: on/);
+    assert.match(stdout, /HAR with \d+ requests written to menu\.har/);
+    const { entries } = JSON.parse(
+      fs.readFileSync(path.join(workDir, "menu.har"), "utf8")
+    ).log;
+    assert.ok(
+      entries.some((e) => e.request.url.endsWith("/storage/v1/bucket"))
+    );
+  });
+});
+
+describe("identities and profiles", () => {
+  test("--token runs commands as that user", async () => {
+    const token = fakeJwt({
+      sub: "11111111-2222-3333-4444-555555555555",
+      role: "authenticated",
+      exp: Math.floor(Date.now() / 1000) + 3600,
+    });
+    const { code, stdout } = await runTool(["connectivity", "--token", token]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Authenticated as user: 11111111/);
+  });
+
+  test("an invalid --token exits 1", async () => {
+    const { code } = await runTool(["connectivity", "--token", "garbage"]);
+    assert.equal(code, 1);
+  });
+
+  test("keys flags swapped roles and an expired user token", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const { code, stdout } = await runTool(["keys"], {
+      env: {
+        NEXT_PUBLIC_SUPABASE_ANON_KEY: fakeJwt({
+          role: "service_role",
+          ref: "abc",
+        }),
+        SUPABASE_SERVICE_ROLE_KEY: fakeJwt({ role: "anon", ref: "abc" }),
+        SUPABASE_USER_ACCESS_TOKEN: fakeJwt({
+          sub: "u1",
+          role: "authenticated",
+          exp: now - 7200,
+        }),
+      },
+    });
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /WARN: NEXT_PUBLIC_SUPABASE_ANON_KEY holds the/);
+    assert.match(
+      stdout,
+      /ERROR: +SUPABASE_SERVICE_ROLE_KEY holds the anon key.*look swapped/
+    );
+    assert.match(stdout, /ERROR: +SUPABASE_USER_ACCESS_TOKEN expired 2h ago/);
+  });
+
+  test("keys passes matching keys and warns before expiry", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = fakeJwt({
+      sub: "11111111-2222-3333-4444-555555555555",
+      role: "authenticated",
+      exp: now + 120,
+    });
+    const { code, stdout } = await runTool(["keys", "--token", token], {
+      env: { NEXT_PUBLIC_SUPABASE_ANON_KEY: fakeJwt({ role: "anon" }) },
+    });
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /anon JWT matches its variable/);
+    assert.match(stdout, /SUPABASE_SERVICE_ROLE_KEY.*neither a JWT/s);
+    assert.match(stdout, /Signed-in user token expires in 2 minute/);
+  });
+
+  test("--profile loads a .env.<name> file", async () => {
+    fs.writeFileSync(
+      path.join(workDir, ".env.staging"),
+      `NEXT_PUBLIC_SUPABASE_URL=${server.url}\nSUPABASE_SERVICE_ROLE_KEY=${MOCK_SERVICE_KEY}\n`
+    );
+    const { code, stdout } = await runTool(
+      ["list-buckets", "--profile", "staging"],
+      { env: { NEXT_PUBLIC_SUPABASE_URL: "http://127.0.0.1:9" } }
+    );
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Profile: staging/);
+  });
+
+  test("unknown profiles exit 2", async () => {
+    const { code } = await runTool(["list-buckets", "--profile", "missing"]);
+    assert.equal(code, 2);
+  });
+
+  test("production profiles also require --confirm-production", async () => {
+    const args = ["bucket-empty", "-b", "public-bucket", "-y"];
+    const env = { env: { SUPABASE_DEBUG_PRODUCTION: "true" } };
+    const refused = await runTool(args, env);
+    assert.equal(refused.code, 1);
+    assert.match(refused.stdout, /--confirm-production/);
+
+    const confirmed = await runTool([...args, "--confirm-production"], env);
+    assert.equal(confirmed.code, 0, confirmed.stdout);
+  });
+
+  test("production profiles gate every write, not only deletes", async () => {
+    const env = { env: { SUPABASE_DEBUG_PRODUCTION: "true" } };
+    for (const args of [
+      ["upload", "-b", "public-bucket", "--type", "text"],
+      ["permissions", "-b", "public-bucket"],
+      ["edge-cases", "-b", "public-bucket"],
+    ]) {
+      const { code, stdout } = await runTool(args, env);
+      assert.equal(code, 1, stdout);
+      assert.match(stdout, /Pass --confirm-production to write to production/);
+    }
+    const reads = await runTool(["list-files", "-b", "public-bucket"], env);
+    assert.equal(reads.code, 0, reads.stdout);
+    assert.equal(
+      server.requests.filter((r) =>
+        r.startsWith("POST /storage/v1/object/public-bucket")
+      ).length,
+      0
+    );
+  });
+
+  test("the menu asks once before a production write", async () => {
+    const { code, stdout } = await runTool([], {
+      env: { SUPABASE_DEBUG_PRODUCTION: "true" },
+      input: ["3", "wrong", "", "30"],
+    });
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Type the profile name 'default' to confirm/);
+    assert.match(stdout, /Cancelled/);
+    assert.doesNotMatch(stdout, /Enter bucket name/);
+  });
+});
+
+describe("injected faults", () => {
+  test("a connection reset mid-body does not stall the run", async () => {
+    const resetServer = http.createServer((req, res) => {
+      res.writeHead(200, { "content-length": "100" });
+      res.write("partial");
+      setTimeout(() => res.socket.destroy(), 20);
+    });
+    await new Promise((resolve) => resetServer.listen(0, resolve));
+    try {
+      const { code, stdout } = await runTool(["list-buckets"], {
+        env: {
+          NEXT_PUBLIC_SUPABASE_URL: `http://127.0.0.1:${
+            resetServer.address().port
+          }`,
+        },
+      });
+      assert.equal(code, 1, stdout);
+      // The ping settles on the headers; the bucket list reads the body.
+      assert.match(stdout, /Supabase URL accessible \(Status: 200\)/);
+      assert.match(stdout, /Failed to list buckets/);
+    } finally {
+      resetServer.closeAllConnections();
+      resetServer.close();
+    }
+  });
+
+  test("diagnostics reports a failed upload once", async () => {
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/(?!list\/)/,
+      status: 403,
+      error: "Unauthorized",
+      message: "new row violates row-level security policy",
+    });
+    const { code, stdout } = await runTool(["diagnostics"]);
+    assert.equal(code, 1, stdout);
+    assert.doesNotMatch(stdout, /Upload FAILED/);
+    assert.equal(
+      stdout.match(/new row violates row-level security policy/g).length,
+      1,
+      stdout
+    );
+    assert.match(stdout, /Upload portion of R\/W test failed/);
+  });
+
+  test("401 on the bucket list fails with an auth hint", async () => {
+    server.injectFault({
+      match: /^GET \/storage\/v1\/bucket$/,
+      status: 401,
+      error: "Unauthorized",
+      message: "Invalid JWT",
+    });
+    const { code, stdout } = await runTool(["list-buckets"]);
+    assert.equal(code, 1);
+    assert.match(stdout, /Failed to list buckets: Invalid JWT/);
+    assert.match(stdout, /TIP: .*(key|JWT)/i);
+  });
+
+  test("404 on download", async () => {
+    const { code, stdout } = await runTool([
+      "download",
+      "-b",
+      "public-bucket",
+      "-p",
+      "missing.txt",
+    ]);
+    assert.equal(code, 1);
+    assert.match(stdout, /not found/i);
+  });
+
+  test("403 on remove is reported per object", async () => {
+    await uploadText("private-bucket");
+    server.injectFault({
+      match: /^DELETE \/storage\/v1\/object\/private-bucket$/,
+      status: 403,
+      error: "Unauthorized",
+      message: "new row violates row-level security policy",
+    });
+    const { code, stdout } = await runTool([
+      "cleanup",
+      "-b",
+      "private-bucket",
+      "-y",
+    ]);
+    assert.equal(code, 1);
+    assert.match(
+      stdout,
+      /1 of 1 objects in 'private-bucket' could not be removed/
+    );
+    assert.match(stdout, /Failed: 1/);
+  });
+
+  test("403 on copy points at the INSERT policy", async () => {
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/copy$/,
+      status: 403,
+      error: "Unauthorized",
+      message: "new row violates row-level security policy",
+    });
+    const { code, stdout } = await runTool(
+      ["move-copy", "-b", "public-bucket"],
+      {
+        env: { SUPABASE_SERVICE_ROLE_KEY: "" },
+      }
+    );
+    assert.equal(code, 1);
+    assert.match(stdout, /copy FAILED/);
+    assert.match(
+      stdout,
+      /Denied by Row Level Security \[authorization, HTTP 403\]/
+    );
+    assert.match(stdout, /INSERT on the destination/);
+    assert.match(
+      stdout,
+      /TIP: +The source was readable, so the INSERT policy for 'public-bucket\/.*copy.*' is the likely gap/
+    );
+    assert.match(stdout, /Skipped: .* was not created by an earlier step/);
+  });
+
+  test("the same 403 with a service role key suggests a wrong key", async () => {
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/public-bucket\//,
+      status: 403,
+      error: "Unauthorized",
+      message: "new row violates row-level security policy",
+    });
+    const { stdout } = await runTool([
+      "upload",
+      "-b",
+      "public-bucket",
+      "--type",
+      "text",
+    ]);
+    assert.match(stdout, /Denied although a service role key is configured/);
+  });
+
+  test("hints files add project-specific classifications", async () => {
+    fs.writeFileSync(
+      path.join(workDir, "supabase-debug-hints.json"),
+      JSON.stringify([
+        {
+          category: "quota",
+          title: "Team upload quota reached",
+          when: { status: [413], operation: ["upload"] },
+          causes: ["Uploads to {path} count against the team quota"],
+          nextSteps: ["Ask an admin to raise it"],
+        },
+      ])
+    );
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/public-bucket\//,
+      status: 413,
+      message: "The object exceeded the maximum allowed size",
+    });
+    const { code, stdout } = await runTool([
+      "upload",
+      "-b",
+      "public-bucket",
+      "--type",
+      "text",
+    ]);
+    assert.equal(code, 1);
+    assert.match(stdout, /Team upload quota reached \[quota, HTTP 413\]/);
+    assert.match(stdout, /count against the team quota/);
+  });
+
+  test("broken hint entries are skipped with a warning", async () => {
+    fs.writeFileSync(
+      path.join(workDir, "supabase-debug-hints.json"),
+      JSON.stringify([
+        { category: "custom", when: { message: "(unclosed" } },
+        { category: "custom", when: { status: 404 } },
+        { category: "custom", when: { code: [404] } },
+      ])
+    );
+    const { code, stdout } = await runTool([
+      "list-files",
+      "-b",
+      "no-such-bucket",
+    ]);
+    assert.equal(code, 1);
+    assert.doesNotMatch(stdout, /FATAL/);
+    assert.match(stdout, /Ignoring hint #1 .*Invalid regular expression/);
+    assert.match(stdout, /Ignoring hint #2 .*'when\.status' must be an array/);
+    assert.match(stdout, /Ignoring hint #3 .*'when\.code' must list strings/);
+    assert.match(stdout, /Bucket not found \[not_found/);
+  });
+
+  test("watch posts pass/fail transitions to a webhook", async () => {
+    const hooks = [];
+    const hookServer = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        hooks.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise((resolve) => hookServer.listen(0, "127.0.0.1", resolve));
+    server.injectFault({
+      match: /^GET \/storage\/v1\/bucket$/,
+      status: 500,
+      error: "Internal",
+      message: "Database unavailable",
+      once: true,
+    });
+    const { code, stdout } = await runTool([
+      "watch",
+      "--probes",
+      "buckets",
+      "--interval",
+      "0.1",
+      "--count",
+      "3",
+      "--log",
+      "health.log",
+      "--webhook",
+      `http://127.0.0.1:${hookServer.address().port}/hook`,
+    ]);
+    await new Promise((resolve) => hookServer.close(resolve));
+    // Recovered by the last round, so the run counts as healthy.
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Bucket list is failing: Database unavailable/);
+    assert.match(stdout, /Bucket list recovered/);
+    assert.match(stdout, /Bucket list +UP .*66\.7% +3/);
+    const log = fs.readFileSync(path.join(workDir, "health.log"), "utf8");
+    assert.match(log, /buckets unknown -> failing .*Database unavailable/);
+    assert.match(log, /buckets failing -> passing/);
+    assert.equal(hooks.length, 1);
+    assert.equal(hooks[0].status, "passing");
+    assert.equal(hooks[0].previousStatus, "failing");
+  });
+
+  test("watch exits 1 when a probe is still failing at the end", async () => {
+    server.injectFault({
+      match: /^GET \/storage\/v1\/bucket$/,
+      status: 500,
+      error: "Internal",
+      message: "Database unavailable",
+    });
+    const { code, stdout } = await runTool([
+      "watch",
+      "--probes",
+      "buckets",
+      "--interval",
+      "0.1",
+      "--count",
+      "2",
+      "--log",
+      "none",
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /Monitor stopped with failing probe\(s\): buckets/);
+    assert.deepEqual(fs.readdirSync(workDir), []);
+  });
+
+  test("headers rewritten in front of storage are flagged", async () => {
+    await uploadText();
+    server.injectFault({
+      match: /^GET \/storage\/v1\/object\/public\//,
+      headers: {
+        "content-type": "application/octet-stream",
+        etag: '"stale"',
+        age: "120",
+        "cf-cache-status": "HIT",
+      },
+    });
+    const { code, stdout } = await runTool([
+      "inspect",
+      "-b",
+      "public-bucket",
+      "-p",
+      TEXT_PATH,
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /cf-cache-status: HIT/);
+    assert.match(
+      stdout,
+      /Content-Type differs: stored text\/plain, served application\/octet-stream/
+    );
+    assert.match(stdout, /ETag differs: .*served "stale"/);
+    assert.match(stdout, /TIP: +A cache is serving an older copy/);
+    assert.match(stdout, /current ETag returned 200/);
+  });
+
+  test("413 on upload", async () => {
+    server.injectFault({
+      match: /^POST \/storage\/v1\/object\/public-bucket\//,
+      status: 413,
+      error: "Payload too large",
+      message: "The object exceeded the maximum allowed size",
+    });
+    const { code, stdout } = await runTool([
+      "upload",
+      "-b",
+      "public-bucket",
+      "--type",
+      "text",
+    ]);
+    assert.equal(code, 1);
+    assert.match(stdout, /exceeded the maximum allowed size/);
+    assert.match(stdout, /TIP: .*limit/i);
+  });
+
+  test("the stand-in's own 413 is classified as a size limit", async () => {
+    await runTool(["bucket-create", "-b", "tiny", "--size-limit", "1KB", "-y"]);
+    const file = path.join(workDir, "big.txt");
+    fs.writeFileSync(file, "x".repeat(2048));
+    const { code, stdout } = await runTool([
+      "upload",
+      "-b",
+      "tiny",
+      "-f",
+      file,
+    ]);
+    assert.equal(code, 1, stdout);
+    assert.match(stdout, /File size limit exceeded \[limit, HTTP 413/);
+  });
+
+  test("a hanging endpoint is reported as a timeout", async () => {
+    server.injectFault({
+      match: /^GET \/storage\/v1\/object\/public\/$/,
+      timeout: true,
+    });
+    const { code, stdout } = await runTool(["connectivity"]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Error: Timeout\)\. Possible CORS issue/);
+  });
+});